@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// Re-encrypt all vinted_sessions cookies with the first key in SESSION_ENCRYPTION_KEYS
+// Usage after a key rotation: npm run sessions:reencrypt
+require('dotenv').config();
+const supabaseService = require('../src/services/supabase');
+
+supabaseService.reencryptSessions()
+  .then(summary => {
+    console.log(`Checked ${summary.checked} sessions, re-encrypted ${summary.reencrypted}, failed ${summary.failed}`);
+    process.exit(summary.failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('Re-encryption failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+const artifactService = require('../services/artifacts');
+const logger = require('../utils/logger');
+
+class ArtifactsController {
+  /**
+   * Download a stored artifact (screenshot, HTML snapshot, trace zip, ...)
+   * Every kind is taken from a logged-in page (traces even carry the session
+   * cookies, HARs are only best-effort redacted), so the route sits behind
+   * requireAccessToken (utils/accessToken.js)
+   */
+  async downloadArtifact(req, res) {
+    try {
+      const artifact = await artifactService.get(req.params.artifactId);
+
+      if (!artifact) {
+        return res.status(404).json({
+          success: false,
+          error: 'Artifact not found'
+        });
+      }
+
+      const target = await artifactService.download(artifact);
+
+      // Supabase Storage: short-lived signed URL instead of proxying the file
+      if (target.redirectUrl) {
+        return res.redirect(target.redirectUrl);
+      }
+
+      res.type(artifact.contentType);
+      res.download(target.filePath, artifact.name);
+    } catch (error) {
+      logger.error('Artifact download error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load artifact',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ArtifactsController();
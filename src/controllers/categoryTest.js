@@ -66,7 +66,7 @@ async function testCategorySelection(req, res) {
 
     logger.info(`✅ Test erfolgreich in ${duration}ms`);
 
-    await playwrightService.closeBrowser();
+    await playwrightService.closeContext(page);
 
     res.json({
       success: true,
@@ -96,7 +96,7 @@ async function testCategorySelection(req, res) {
       } catch (e) {}
     }
 
-    await playwrightService.closeBrowser();
+    await playwrightService.closeContext(page);
 
     res.status(500).json({
       success: false,
@@ -151,7 +151,7 @@ class DebugPhotoUploadController {
         logger.info('Skipping screenshot (not requested)');
       }
       
-      await playwrightService.closeBrowser();
+      await playwrightService.closeContext(page);
       
       const duration = Date.now() - startTime;
       
@@ -173,7 +173,7 @@ class DebugPhotoUploadController {
       logger.error('Debug analysis failed', { error: error.message });
       
       if (page) {
-        await playwrightService.closeBrowser();
+        await playwrightService.closeContext(page);
       }
       
       res.status(500).json({
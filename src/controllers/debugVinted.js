@@ -160,7 +160,7 @@ class DebugVintedController {
       // Take screenshot
       const screenshot = await playwrightService.takeScreenshot(page);
       
-      await playwrightService.closeBrowser();
+      await playwrightService.closeContext(page);
       
       res.status(200).json({
         success: true,
@@ -180,7 +180,7 @@ class DebugVintedController {
       
       if (page) {
         const errorScreenshot = await playwrightService.takeScreenshot(page);
-        await playwrightService.closeBrowser();
+        await playwrightService.closeContext(page);
         
         return res.status(500).json({
           success: false,
@@ -286,7 +286,7 @@ class DebugVintedController {
       
       const screenshotFinal = await playwrightService.takeScreenshot(page);
       
-      await playwrightService.closeBrowser();
+      await playwrightService.closeContext(page);
       
       res.status(200).json({
         success: true,
@@ -305,7 +305,7 @@ class DebugVintedController {
       
       if (page) {
         const errorScreenshot = await playwrightService.takeScreenshot(page);
-        await playwrightService.closeBrowser();
+        await playwrightService.closeContext(page);
         
         return res.status(500).json({
           success: false,
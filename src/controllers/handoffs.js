@@ -0,0 +1,114 @@
+const handoffService = require('../services/handoff');
+const logger = require('../utils/logger');
+
+class HandoffsController {
+  /**
+   * Open and recently finished handoffs, ?status=waiting for the open ones
+   */
+  async listHandoffs(req, res) {
+    const handoffs = handoffService.listHandoffs(req.query.status || null);
+
+    res.status(200).json({
+      success: true,
+      count: handoffs.length,
+      handoffs
+    });
+  }
+
+  async getHandoff(req, res) {
+    const handoff = handoffService.getHandoff(req.params.handoffId);
+
+    if (!handoff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Handoff not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      handoff
+    });
+  }
+
+  /**
+   * Live PNG of the page - the operator view polls this every few seconds
+   */
+  async getScreenshot(req, res) {
+    try {
+      const screenshot = await handoffService.screenshot(req.params.handoffId);
+
+      if (!screenshot) {
+        return res.status(404).json({
+          success: false,
+          error: 'No open handoff with this ID'
+        });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.type('png').send(screenshot);
+    } catch (error) {
+      logger.error('Handoff screenshot error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to take screenshot',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Send operator input to the page
+   * Body: one action ({ "type": "code", "code": "123456" }) or { "actions": [...] }
+   */
+  async performActions(req, res) {
+    const { handoffId } = req.params;
+    const body = req.body || {};
+    const actions = Array.isArray(body.actions) ? body.actions : [body];
+
+    try {
+      let handoff = null;
+
+      for (const action of actions) {
+        handoff = await handoffService.perform(handoffId, action);
+      }
+
+      res.status(200).json({
+        success: true,
+        handoff
+      });
+    } catch (error) {
+      logger.error('Handoff action error', { handoffId, error: error.message });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        handoff: handoffService.getHandoff(handoffId) || undefined
+      });
+    }
+  }
+
+  /**
+   * Give up - the paused job fails with the reason
+   */
+  async abortHandoff(req, res) {
+    const { handoffId } = req.params;
+    const reason = (req.body && req.body.reason) || 'Aborted by operator';
+
+    try {
+      const handoff = await handoffService.perform(handoffId, { type: 'abort', reason });
+
+      res.status(200).json({
+        success: true,
+        handoff
+      });
+    } catch (error) {
+      logger.error('Handoff abort error', { handoffId, error: error.message });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new HandoffsController();
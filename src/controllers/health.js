@@ -1,3 +1,4 @@
+const browserPool = require('../services/browserPool');
 const logger = require('../utils/logger');
 
 class HealthController {
@@ -15,6 +16,7 @@ class HealthController {
           heapUsed: `${Math.round(memory.heapUsed / 1024 / 1024)}MB`,
           heapTotal: `${Math.round(memory.heapTotal / 1024 / 1024)}MB`
         },
+        browserPool: browserPool.getStats(),
         environment: process.env.NODE_ENV || 'development'
       };
 
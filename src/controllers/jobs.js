@@ -0,0 +1,134 @@
+const jobQueue = require('../services/jobQueue');
+const screencastService = require('../services/screencast');
+const artifactService = require('../services/artifacts');
+const resumableRuns = require('../services/resumableRuns');
+const logger = require('../utils/logger');
+
+class JobsController {
+  async getJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const job = jobQueue.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      logger.error('Job status error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get job status',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Run a failed job again: POST /jobs/:jobId/retry { "resume": true }
+   * With resume a failed publish continues from its failed step on the page
+   * kept open for PUBLISH_RESUME_GRACE_MS, otherwise it starts over
+   */
+  async retryJob(req, res) {
+    try {
+      const { jobId } = req.params;
+      const resume = !!(req.body && req.body.resume);
+      const job = jobQueue.retry(jobId, { resume });
+
+      logger.info('Job retry queued', { retryOf: jobId, jobId: job.id, resume });
+
+      res.status(202).json({
+        success: true,
+        message: resume ? 'Resume job queued' : 'Retry job queued',
+        jobId: job.id,
+        retryOf: jobId,
+        resumable: resumableRuns.has(jobId),
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+      });
+    } catch (error) {
+      logger.error('Job retry error', { error: error.message });
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Screenshots, HTML snapshots, traces and HAR files a job left behind
+   * Works after the job is gone from the in-memory queue - artifacts are kept
+   * for ARTIFACT_RETENTION_DAYS
+   */
+  async listArtifacts(req, res) {
+    try {
+      const artifacts = await artifactService.listByJob(req.params.jobId);
+
+      res.status(200).json({
+        success: true,
+        count: artifacts.length,
+        artifacts
+      });
+    } catch (error) {
+      logger.error('Job artifacts error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list job artifacts',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * MJPEG stream of the job's browser page, e.g. <img src="/jobs/:jobId/screencast">
+   * ?quality=1-100, ?maxWidth=, ?everyNthFrame= to save bandwidth
+   */
+  async streamScreencast(req, res) {
+    try {
+      const { jobId } = req.params;
+      const job = jobQueue.getJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      if (!screencastService.hasPage(jobId)) {
+        return res.status(409).json({
+          success: false,
+          error: `Job has no open browser page (status: ${job.status})`
+        });
+      }
+
+      const started = await screencastService.stream(jobId, res, req.query);
+
+      if (!started) {
+        return res.status(429).json({
+          success: false,
+          error: 'Too many screencast viewers'
+        });
+      }
+    } catch (error) {
+      logger.error('Screencast error', { error: error.message });
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to start screencast',
+          message: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new JobsController();
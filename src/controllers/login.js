@@ -1,46 +1,123 @@
 const vintedService = require('../services/vinted');
 const supabaseService = require('../services/supabase');
+const accountService = require('../services/accounts');
+const sessionHealthService = require('../services/sessionHealth');
+const playwrightService = require('../services/playwright');
+const jobQueue = require('../services/jobQueue');
+const { isSupported } = require('../utils/marketplaces');
+const { FORMATS, importCookies, validateAuthCookies } = require('../utils/cookieImport');
+const { VintedError, classifyError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class LoginController {
   async loginToVinted(req, res) {
-    const startTime = Date.now();
     try {
-      const { email, password } = req.body;
-      if (!email || !password) {
-        return res.status(400).json({ success: false, error: 'Email and password are required' });
-      }
-      logger.info('Login request received', { email });
-      const loginResult = await vintedService.login(email, password);
-      if (!loginResult.success) {
-        return res.status(401).json({ success: false, error: loginResult.error, duration: loginResult.duration, errorScreenshot: loginResult.errorScreenshot });
-      }
-      logger.info('Saving session to database...');
-      const session = await supabaseService.saveSession(email, loginResult.cookies, loginResult.userAgent);
-      const duration = Date.now() - startTime;
-      logger.info('Login completed successfully', { sessionId: session.id, duration: duration });
-      res.status(200).json({ success: true, message: 'Login successful and session saved', session: { id: session.id, email: session.account_email, validUntil: session.valid_until, cookieCount: loginResult.cookies.length }, duration: duration, screenshots: { before: loginResult.screenshots.before, after: loginResult.screenshots.after } });
+      const { password, marketplace, trace = false, har = false } = req.body;
+      // Compatibility with callers of the former synchronous endpoint: wait for the job and answer 200 with the session
+      const wait = String(req.body.wait ?? req.query.wait ?? process.env.LOGIN_WAIT) === 'true';
+      const { accountId, accountEmail } = accountService.getRequestAccount(req);
+      let email = req.body.email || accountEmail;
+      if ((!email && !accountId) || !password) {
+        return res.status(400).json({ success: false, error: 'Email (or accountId) and password are required' });
+      }
+      if (marketplace && !isSupported(marketplace)) {
+        return res.status(400).json({ success: false, error: `Unsupported marketplace: ${marketplace}` });
+      }
+      // An existing account can be addressed by ID like on the other account-scoped endpoints
+      const existingAccount = await supabaseService.getAccount(accountId ? { accountId } : { accountEmail: email });
+      if (accountId) {
+        if (!existingAccount) {
+          return res.status(404).json({ success: false, error: 'Vinted account not found' });
+        }
+        if (email && email !== existingAccount.email) {
+          return res.status(400).json({ success: false, error: 'accountId and email belong to different accounts' });
+        }
+        email = existingAccount.email;
+      }
+      const mismatch = accountService.checkMarketplace(existingAccount, marketplace);
+      if (mismatch) {
+        return res.status(mismatch.status).json({ success: false, error: mismatch.error });
+      }
+      logger.info('Login request received', { email, accountId, marketplace });
+      const marketplaceCode = marketplace || accountService.getMarketplaceCode(existingAccount);
+      // Runs as a job: a captcha or verification code can keep it waiting for an operator.
+      // The password stays in the handler closure, never in the job data.
+      const job = jobQueue.enqueue('login', { email, marketplace: marketplaceCode }, async jobContext => {
+        const loginResult = await vintedService.forMarketplace(marketplaceCode).login(email, password, { job: jobContext, trace, har });
+        if (!loginResult.success) {
+          const error = new VintedError(loginResult.errorCode, loginResult.error);
+          error.result = { duration: loginResult.duration, screenshot: loginResult.errorScreenshot, html: loginResult.html, trace: loginResult.trace, har: loginResult.har };
+          throw error;
+        }
+        jobContext.progress('save_session');
+        logger.info('Saving session to database...');
+        const account = await supabaseService.getOrCreateAccount(email, marketplace || null);
+        const session = await supabaseService.saveSession(email, loginResult.cookies, loginResult.userAgent, account.id);
+        logger.info('Login completed successfully', { sessionId: session.id, duration: loginResult.duration });
+        return { session: { id: session.id, accountId: account.id, email: session.account_email, validUntil: session.valid_until, cookieCount: loginResult.cookies.length }, duration: loginResult.duration, trace: loginResult.trace, har: loginResult.har };
+      });
+      if (!wait) {
+        return res.status(202).json({ success: true, message: 'Login queued', jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` });
+      }
+      const finished = await jobQueue.waitFor(job.id);
+      const result = finished.result || {};
+      if (finished.status !== 'succeeded') {
+        const { status } = classifyError({ code: finished.errorCode, message: finished.error });
+        return res.status(status).json({ success: false, error: finished.error, errorCode: finished.errorCode, jobId: job.id, duration: result.duration, errorScreenshot: result.screenshot });
+      }
+      res.status(200).json({ success: true, message: 'Login successful and session saved', jobId: job.id, session: result.session, duration: result.duration, trace: result.trace, har: result.har });
     } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.error('Login endpoint error', { error: error.message, stack: error.stack, duration: duration });
-      res.status(500).json({ success: false, error: 'Internal server error during login', message: error.message, duration: duration });
+      const { code, status } = classifyError(error);
+      logger.error('Login endpoint error', { error: error.message, errorCode: code, stack: error.stack });
+      res.status(status).json({ success: false, error: 'Internal server error during login', errorCode: code, message: error.message });
     }
   }
 
   async getSessionStatus(req, res) {
     try {
-      logger.info('Session status check requested');
-      const session = await supabaseService.getActiveSession();
+      const { accountId, accountEmail } = accountService.getRequestAccount(req);
+      logger.info('Session status check requested', { accountId, accountEmail });
+      let account = null;
+      if (accountId || accountEmail) {
+        account = await supabaseService.getAccount({ accountId, accountEmail });
+        if (!account) {
+          return res.status(404).json({ success: false, error: 'Vinted account not found', hasActiveSession: false });
+        }
+      }
+      const session = await supabaseService.getActiveSession(account);
       if (!session) {
         return res.status(404).json({ success: false, message: 'No active session found', hasActiveSession: false });
       }
-      res.status(200).json({ success: true, hasActiveSession: true, session: { id: session.id, email: session.account_email, validUntil: session.valid_until, lastUsed: session.last_used, createdAt: session.created_at } });
+      let verification;
+      if (req.query.verify === 'true') {
+        if (!account && session.account_id) {
+          account = await supabaseService.getAccount({ accountId: session.account_id });
+        }
+        verification = await sessionHealthService.verify(session, accountService.getMarketplaceCode(account));
+      }
+      const hasActiveSession = !verification || verification.status !== 'invalid';
+      res.status(hasActiveSession ? 200 : 404).json({ success: hasActiveSession, hasActiveSession, session: { id: session.id, accountId: session.account_id, email: session.account_email, validUntil: session.valid_until, lastUsed: session.last_used, lastVerifiedAt: verification?.status === 'valid' ? verification.checkedAt : session.last_verified_at || null, createdAt: session.created_at }, verification, lastSweep: sessionHealthService.lastSweep });
     } catch (error) {
       logger.error('Session status check error', { error: error.message });
       res.status(500).json({ success: false, error: 'Failed to check session status', message: error.message });
     }
   }
 
+  async listAccounts(req, res) {
+    try {
+      const accounts = await supabaseService.listAccounts();
+      const result = [];
+      for (const account of accounts) {
+        const session = await supabaseService.getActiveSession(account);
+        result.push({ id: account.id, email: account.email, name: account.name || null, marketplace: accountService.getMarketplaceCode(account), hasActiveSession: !!session, lastUsed: session ? session.last_used : null });
+      }
+      res.status(200).json({ success: true, count: result.length, accounts: result });
+    } catch (error) {
+      logger.error('List accounts error', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to list accounts', message: error.message });
+    }
+  }
+
   async invalidateSession(req, res) {
     try {
       const { sessionId } = req.params;
@@ -58,18 +135,50 @@ class LoginController {
 
   async uploadCookies(req, res) {
     try {
-      const { cookies, email } = req.body;
-      if (!cookies || !Array.isArray(cookies) || cookies.length === 0) {
-        return res.status(400).json({ success: false, error: 'Cookies array is required' });
-      }
-      if (!email) {
-        return res.status(400).json({ success: false, error: 'Email is required' });
-      }
-      logger.info('Uploading manual cookies', { email, cookieCount: cookies.length });
-      const userAgent = req.headers['user-agent'] || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-      const session = await supabaseService.saveSession(email, cookies, userAgent);
-      logger.info('Manual cookies saved successfully', { sessionId: session.id });
-      res.status(200).json({ success: true, message: 'Cookies uploaded and session created', session: { id: session.id, email: session.account_email, validUntil: session.valid_until, cookieCount: cookies.length } });
+      // text/plain bodies (cookies.txt, Cookie header) carry the rest in the query string
+      const body = typeof req.body === 'string' ? { cookies: req.body } : (req.body || {});
+      const params = { ...req.query, ...body };
+      const { cookies: input, accountId, marketplace, format } = params;
+      const email = params.email || params.accountEmail;
+      if (!input || (Array.isArray(input) && input.length === 0)) {
+        return res.status(400).json({ success: false, error: 'Cookies are required (JSON array, storageState, cookies.txt or Cookie header)' });
+      }
+      if (marketplace && !isSupported(marketplace)) {
+        return res.status(400).json({ success: false, error: `Unsupported marketplace: ${marketplace}` });
+      }
+      if (!email && !accountId) {
+        return res.status(400).json({ success: false, error: 'Email or accountId is required' });
+      }
+      const existingAccount = await supabaseService.getAccount(accountId ? { accountId } : { accountEmail: email });
+      if (accountId && !existingAccount) {
+        return res.status(404).json({ success: false, error: 'Vinted account not found' });
+      }
+      const mismatch = accountService.checkMarketplace(existingAccount, marketplace);
+      if (mismatch) {
+        return res.status(mismatch.status).json({ success: false, error: mismatch.error });
+      }
+      const account = existingAccount || await supabaseService.getOrCreateAccount(email, marketplace || null);
+      let imported;
+      try {
+        imported = importCookies(input, { format, marketplace: marketplace || accountService.getMarketplaceCode(account) });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message, supportedFormats: FORMATS });
+      }
+      const { cookies } = imported;
+      if (cookies.length === 0) {
+        return res.status(400).json({ success: false, error: 'No Vinted cookies found in the upload', format: imported.format, dropped: imported.dropped });
+      }
+      const auth = validateAuthCookies(cookies);
+      if (!auth.valid) {
+        return res.status(422).json({ success: false, error: 'Upload is missing the Vinted login cookies - export while logged in', format: imported.format, missing: auth.missing, expired: auth.expired });
+      }
+      logger.info('Uploading manual cookies', { accountId: account.id, email: account.email, format: imported.format, cookieCount: cookies.length, dropped: imported.dropped });
+      // The request's own User-Agent is only a fallback when it belongs to a browser, not curl or n8n
+      const headerUserAgent = req.headers['user-agent'];
+      const userAgent = params.userAgent || (headerUserAgent && headerUserAgent.startsWith('Mozilla/') ? headerUserAgent : playwrightService.defaultUserAgent);
+      const session = await supabaseService.saveSession(account.email, cookies, userAgent, account.id);
+      logger.info('Manual cookies saved successfully', { sessionId: session.id, accountId: account.id });
+      res.status(200).json({ success: true, message: 'Cookies uploaded and session created', session: { id: session.id, accountId: account.id, email: session.account_email, validUntil: session.valid_until, cookieCount: cookies.length }, format: imported.format, dropped: imported.dropped });
     } catch (error) {
       logger.error('Cookie upload error', { error: error.message });
       res.status(500).json({ success: false, error: 'Failed to upload cookies', message: error.message });
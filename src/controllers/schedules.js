@@ -0,0 +1,71 @@
+const supabaseService = require('../services/supabase');
+const logger = require('../utils/logger');
+
+class SchedulesController {
+  /**
+   * List publish schedules, pending ones by default
+   * ?status=all or a comma separated list, e.g. ?status=failed,missed
+   */
+  async listSchedules(req, res) {
+    try {
+      const { status = 'pending' } = req.query;
+
+      const schedules = await supabaseService.getPublishSchedules({
+        status: status === 'all' ? null : status.split(',')
+      });
+
+      res.status(200).json({
+        success: true,
+        count: schedules.length,
+        schedules
+      });
+    } catch (error) {
+      logger.error('List schedules error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list schedules',
+        message: error.message
+      });
+    }
+  }
+
+  async cancelSchedule(req, res) {
+    try {
+      const { scheduleId } = req.params;
+      const schedule = await supabaseService.getPublishSchedule(scheduleId);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+
+      if (schedule.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: `Only pending schedules can be cancelled (status: ${schedule.status})`,
+          jobId: schedule.job_id || undefined
+        });
+      }
+
+      const cancelled = await supabaseService.updatePublishSchedule(scheduleId, { status: 'cancelled' });
+
+      logger.info('Schedule cancelled', { scheduleId, articleId: schedule.article_id });
+
+      res.status(200).json({
+        success: true,
+        schedule: cancelled
+      });
+    } catch (error) {
+      logger.error('Cancel schedule error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel schedule',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SchedulesController();
@@ -1,13 +1,39 @@
-const vintedService = require('../services/vinted');
 const supabaseService = require('../services/supabase');
+const publisherService = require('../services/publisher');
+const schedulerService = require('../services/scheduler');
+const accountService = require('../services/accounts');
+const jobQueue = require('../services/jobQueue');
+const { classifyError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class VintedController {
+  /**
+   * Queue a publish job and return its ID immediately
+   * The Playwright run takes 1-3 minutes, poll GET /jobs/:id for the outcome
+   *
+   * Idempotent: an already published article returns its vinted_url, an
+   * in-flight publish or a repeated Idempotency-Key returns the existing job.
+   * Pass `force: true` to publish anyway.
+   *
+   * `dryRun: true` fills the whole form but stops before submit; the job result
+   * then holds a per-field report and a screenshot of the filled form.
+   *
+   * `mode: 'draft'` saves the listing as a Vinted draft for human review,
+   * promote it later with POST /vinted/drafts/:articleId/publish.
+   *
+   * `schedule: { at }` or `schedule: { windowStart, windowEnd }` stores a
+   * publish schedule instead of queueing right away; the scheduler publishes
+   * at a random time inside the window.
+   *
+   * `accountId` / `accountEmail` pick the Vinted account; by default the
+   * account the article is bound to is used. The first publish binds it.
+   */
   async publishArticle(req, res) {
     const startTime = Date.now();
     
     try {
-      const { articleId } = req.body;
+      const { articleId, force = false, dryRun = false, mode = 'publish', schedule, trace = false, har = false } = req.body;
+      const idempotencyKey = req.get('Idempotency-Key');
       
       if (!articleId) {
         return res.status(400).json({
@@ -15,9 +41,36 @@ class VintedController {
           error: 'articleId is required'
         });
       }
+
+      if (!['publish', 'draft'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: "mode must be 'publish' or 'draft'"
+        });
+      }
       
-      logger.info('Publish request received', { articleId });
-      
+      let window = null;
+
+      if (schedule !== undefined) {
+        if (dryRun) {
+          return res.status(400).json({
+            success: false,
+            error: 'A dry run cannot be scheduled'
+          });
+        }
+
+        window = schedulerService.parseWindow(schedule);
+
+        if (window.error) {
+          return res.status(400).json({
+            success: false,
+            error: window.error
+          });
+        }
+      }
+
+      logger.info('Publish request received', { articleId, force, dryRun, mode, idempotencyKey, schedule });
+
       const article = await supabaseService.getArticle(articleId);
       
       if (!article) {
@@ -26,102 +79,583 @@ class VintedController {
           error: 'Article not found'
         });
       }
+
+      const { session, error: sessionError, status: sessionStatus } = await accountService.resolveSession({
+        ...accountService.getRequestAccount(req),
+        articles: [article]
+      });
       
-      const session = await supabaseService.getActiveSession();
-      
-      if (!session) {
-        return res.status(401).json({
+      if (sessionError) {
+        return res.status(sessionStatus).json({
           success: false,
-          error: 'No active Vinted session found. Please login first.'
+          error: sessionError
         });
       }
       
-      logger.info('Publishing to Vinted', {
-        articleId,
-        title: article.title,
-        sessionId: session.id
-      });
+      // No await between the duplicate checks and enqueue, so two concurrent
+      // requests cannot both pass them
+      if (idempotencyKey) {
+        const existingJob = jobQueue.findByIdempotencyKey(idempotencyKey);
+
+        if (existingJob) {
+          logger.info('Idempotency-Key seen before, returning existing job', {
+            idempotencyKey,
+            jobId: existingJob.id
+          });
+          return res.status(202).json(this.jobResponse(existingJob, 'Request already processed for this Idempotency-Key'));
+        }
+      }
       
-      const publishResult = await vintedService.publishArticle(
-        article,
-        session.cookies,
-        session.user_agent
-      );
+      // A dry run never creates a listing, so it is always allowed
+      if (!force && !dryRun) {
+        if (publisherService.isPublished(article)) {
+          logger.info('Article already published', { articleId, vintedId: article.vinted_id });
+          return res.status(200).json({
+            success: true,
+            alreadyPublished: true,
+            message: 'Article is already published on Vinted',
+            vinted: {
+              url: article.vinted_url,
+              id: article.vinted_id
+            }
+          });
+        }
+
+        if (publisherService.isDraft(article)) {
+          if (mode === 'draft') {
+            return res.status(200).json({
+              success: true,
+              alreadyDraft: true,
+              message: 'Article is already saved as a Vinted draft',
+              draft: {
+                url: article.vinted_url,
+                id: article.vinted_id
+              }
+            });
+          }
+
+          return res.status(409).json({
+            success: false,
+            error: 'Article is saved as a Vinted draft',
+            message: `Promote it via POST /vinted/drafts/${articleId}/publish or pass force: true`
+          });
+        }
+
+        const inFlightJob = publisherService.findInFlightPublish(articleId);
+
+        if (inFlightJob) {
+          logger.info('Publish already in flight', { articleId, jobId: inFlightJob.id });
+          return res.status(202).json(this.jobResponse(inFlightJob, 'Publish already in progress for this article'));
+        }
+      }
       
-      if (!publishResult.success) {
-        await supabaseService.logActivity(
-          articleId,
-          'vinted_publish',
-          'failed',
-          { error: publishResult.error },
-          publishResult.error,
-          publishResult.duration
-        );
-        
-        return res.status(500).json({
-          success: false,
-          error: publishResult.error,
-          duration: publishResult.duration,
-          screenshot: publishResult.screenshot
+      if (window) {
+        const { schedule: scheduled, existing } = await schedulerService.findOrSchedule(article.id, window, {
+          mode,
+          source: 'api',
+          accountId: session.account_id || null
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: existing ? 'Article is already scheduled' : 'Publish scheduled',
+          alreadyScheduled: existing,
+          schedule: {
+            id: scheduled.id,
+            status: scheduled.status,
+            windowStart: scheduled.window_start,
+            windowEnd: scheduled.window_end,
+            scheduledFor: scheduled.scheduled_for
+          }
         });
       }
-      
-      await supabaseService.updateArticleVintedInfo(
-        articleId,
-        publishResult.vintedUrl,
-        publishResult.vintedId
-      );
-      
-      await supabaseService.updateSessionLastUsed(session.id);
-      
-      await supabaseService.logActivity(
-        articleId,
-        'vinted_publish',
-        'success',
-        {
-          vintedUrl: publishResult.vintedUrl,
-          vintedId: publishResult.vintedId
-        },
-        null,
-        publishResult.duration
+
+      const accountId = session.account_id || null;
+      const handlerFor = (articleRow, sessionRow) =>
+        jobContext => publisherService.publish(jobContext, articleRow, sessionRow, { force, dryRun, mode, trace, har });
+
+      const job = jobQueue.enqueue(
+        'publish',
+        { articleId, force, dryRun, mode, trace, har, accountId },
+        handlerFor(article, session),
+        { idempotencyKey, reload: publisherService.reloadFor(articleId, accountId, handlerFor) }
       );
-      
-      const duration = Date.now() - startTime;
-      
-      logger.info('Publish completed successfully', {
+
+      logger.info('Publish job queued', {
         articleId,
-        vintedUrl: publishResult.vintedUrl,
-        duration
-      });
-      
-      res.status(200).json({
-        success: true,
-        message: 'Article published to Vinted successfully',
-        vinted: {
-          url: publishResult.vintedUrl,
-          id: publishResult.vintedId
-        },
-        duration,
-        screenshot: publishResult.screenshot
+        jobId: job.id,
+        sessionId: session.id
       });
+
+      const message = dryRun ? 'Dry run job queued' : mode === 'draft' ? 'Draft job queued' : 'Publish job queued';
+      res.status(202).json(this.jobResponse(job, message));
       
     } catch (error) {
       const duration = Date.now() - startTime;
       
+      const { code, status } = classifyError(error);
+
       logger.error('Publish endpoint error', {
         error: error.message,
+        errorCode: code,
         stack: error.stack,
         duration
       });
       
-      res.status(500).json({
+      res.status(status).json({
         success: false,
         error: 'Internal server error during publish',
+        errorCode: code,
         message: error.message,
         duration
       });
     }
   }
+
+  /**
+   * Publish several articles in one job, sequentially through one logged-in
+   * context with a human-like pause between them
+   *
+   * Body: { articleIds: [...] } or { filter: { status: 'ready' } }, plus
+   * optional { limit, force, dryRun, mode } as for a single publish.
+   * Articles already published are skipped, ones queued in another job are
+   * left out and listed as `inProgress`.
+   *
+   * Returns 202 with a job ID; with ?stream=true the response instead stays
+   * open and streams one NDJSON line per article, then a summary line.
+   */
+  async publishBatch(req, res) {
+    try {
+      const {
+        articleIds,
+        filter,
+        limit,
+        force = false,
+        dryRun = false,
+        mode = 'publish'
+      } = req.body || {};
+      const stream = req.query.stream === 'true';
+      const idempotencyKey = req.get('Idempotency-Key');
+      const maxArticles = parseInt(process.env.BATCH_MAX_ARTICLES) || 50;
+
+      const hasIds = Array.isArray(articleIds) && articleIds.length > 0;
+      const hasFilter = !!filter && typeof filter === 'object' && !Array.isArray(filter) && Object.keys(filter).length > 0;
+
+      if (hasIds === hasFilter) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide either a non-empty articleIds array or a filter object'
+        });
+      }
+
+      if (hasFilter && Object.values(filter).some(value => value !== null && typeof value === 'object')) {
+        return res.status(400).json({
+          success: false,
+          error: 'filter only supports equality on plain values, e.g. { "status": "ready" }'
+        });
+      }
+
+      if (!['publish', 'draft'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: "mode must be 'publish' or 'draft'"
+        });
+      }
+
+      const batchLimit = Math.min(parseInt(limit) || maxArticles, maxArticles);
+
+      if (hasIds && articleIds.length > batchLimit) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${batchLimit} articles per batch`
+        });
+      }
+
+      logger.info('Batch publish request received', {
+        articleIds: hasIds ? articleIds : undefined,
+        filter: hasFilter ? filter : undefined,
+        force,
+        dryRun,
+        mode,
+        stream
+      });
+
+      const articles = await supabaseService.getArticles(
+        hasIds ? { ids: articleIds, limit: batchLimit } : { filter, limit: batchLimit }
+      );
+
+      if (articles.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No matching articles found'
+        });
+      }
+
+      const { session, error: sessionError, status: sessionStatus } = await accountService.resolveSession({
+        ...accountService.getRequestAccount(req),
+        articles: articles
+      });
+
+      if (sessionError) {
+        return res.status(sessionStatus).json({
+          success: false,
+          error: sessionError
+        });
+      }
+
+      // Same synchronous check-then-enqueue as publishArticle
+      if (idempotencyKey) {
+        const existingJob = jobQueue.findByIdempotencyKey(idempotencyKey);
+
+        if (existingJob) {
+          return res.status(202).json(this.jobResponse(existingJob, 'Request already processed for this Idempotency-Key'));
+        }
+      }
+
+      const inProgress = [];
+      const queued = articles.filter(article => {
+        if (force || dryRun) {
+          return true;
+        }
+
+        const inFlightJob = publisherService.findInFlightPublish(article.id);
+        if (inFlightJob) {
+          inProgress.push({ articleId: article.id, reason: 'Publish already in progress', jobId: inFlightJob.id });
+          return false;
+        }
+        return true;
+      });
+
+      if (queued.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'All articles are already being published',
+          inProgress
+        });
+      }
+
+      const writeLine = line => {
+        if (stream && !res.writableEnded && !res.destroyed) {
+          res.write(JSON.stringify(line) + '\n');
+        }
+      };
+
+      const job = jobQueue.enqueue(
+        'publish_batch',
+        {
+          articleIds: queued.map(article => article.id),
+          force,
+          dryRun,
+          mode,
+          accountId: session.account_id || null,
+          inProgress
+        },
+        async jobContext => {
+          try {
+            const summary = await publisherService.publishBatch(jobContext, queued, session, {
+              force,
+              dryRun,
+              mode,
+              onResult: item => writeLine({ type: 'article', ...item })
+            });
+            writeLine({ type: 'summary', jobId: jobContext.id, ...summary, items: undefined, inProgress });
+            return { ...summary, inProgress };
+          } catch (error) {
+            writeLine({ type: 'error', jobId: jobContext.id, error: error.message });
+            throw error;
+          } finally {
+            if (stream && !res.writableEnded && !res.destroyed) {
+              res.end();
+            }
+          }
+        },
+        { idempotencyKey }
+      );
+
+      logger.info('Batch publish job queued', {
+        jobId: job.id,
+        count: queued.length,
+        inProgress: inProgress.length
+      });
+
+      if (!stream) {
+        return res.status(202).json({
+          ...this.jobResponse(job, `Batch of ${queued.length} articles queued`),
+          count: queued.length,
+          inProgress
+        });
+      }
+
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.flushHeaders();
+      writeLine({ type: 'job', ...this.jobResponse(job, `Batch of ${queued.length} articles queued`), count: queued.length, inProgress });
+
+      // The batch keeps running if the client goes away, results stay on the job
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          logger.info('Batch stream client disconnected', { jobId: job.id });
+        }
+      });
+    } catch (error) {
+      logger.error('Batch publish endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error during batch publish',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Promote a Vinted draft (status 'draft_on_vinted') to a live listing
+   */
+  async publishDraft(req, res) {
+    try {
+      const { articleId } = req.params;
+
+      logger.info('Draft promotion request received', { articleId });
+
+      const article = await supabaseService.getArticle(articleId);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      if (!publisherService.isDraft(article) || !article.vinted_id) {
+        return res.status(409).json({
+          success: false,
+          error: 'Article has no Vinted draft',
+          status: article.status
+        });
+      }
+
+      const { session, error: sessionError, status: sessionStatus } = await accountService.resolveSession({
+        ...accountService.getRequestAccount(req),
+        articles: [article]
+      });
+
+      if (sessionError) {
+        return res.status(sessionStatus).json({
+          success: false,
+          error: sessionError
+        });
+      }
+
+      const inFlightJob = jobQueue.findActive(
+        job => job.type === 'promote_draft' && String(job.data.articleId) === String(articleId)
+      );
+
+      if (inFlightJob) {
+        return res.status(202).json(this.jobResponse(inFlightJob, 'Draft promotion already in progress'));
+      }
+
+      const accountId = session.account_id || null;
+      const handlerFor = (articleRow, sessionRow) =>
+        jobContext => publisherService.promoteDraft(jobContext, articleRow, sessionRow);
+
+      const job = jobQueue.enqueue(
+        'promote_draft',
+        { articleId, draftId: article.vinted_id, accountId },
+        handlerFor(article, session),
+        { reload: publisherService.reloadFor(articleId, accountId, handlerFor) }
+      );
+
+      res.status(202).json(this.jobResponse(job, 'Draft promotion job queued'));
+    } catch (error) {
+      logger.error('Draft promotion endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error during draft promotion',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a published listing from the current Supabase article
+   * Body: { replacePhotos: true } also swaps the photos for article.image_urls
+   */
+  async editListing(req, res) {
+    try {
+      const { articleId } = req.params;
+      const { replacePhotos = false } = req.body || {};
+
+      logger.info('Listing edit request received', { articleId, replacePhotos });
+
+      const article = await supabaseService.getArticle(articleId);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      if (!article.vinted_id || publisherService.isDraft(article)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Article has no published Vinted listing',
+          status: article.status
+        });
+      }
+
+      const { session, error: sessionError, status: sessionStatus } = await accountService.resolveSession({
+        ...accountService.getRequestAccount(req),
+        articles: [article]
+      });
+
+      if (sessionError) {
+        return res.status(sessionStatus).json({
+          success: false,
+          error: sessionError
+        });
+      }
+
+      const inFlightJob = jobQueue.findActive(
+        job => job.type === 'edit_listing' && String(job.data.articleId) === String(articleId)
+      );
+
+      if (inFlightJob) {
+        return res.status(202).json(this.jobResponse(inFlightJob, 'Listing edit already in progress'));
+      }
+
+      const accountId = session.account_id || null;
+      const handlerFor = (articleRow, sessionRow) =>
+        jobContext => publisherService.editListing(jobContext, articleRow, sessionRow, { replacePhotos });
+
+      const job = jobQueue.enqueue(
+        'edit_listing',
+        { articleId, vintedId: article.vinted_id, replacePhotos, accountId },
+        handlerFor(article, session),
+        { reload: publisherService.reloadFor(articleId, accountId, handlerFor) }
+      );
+
+      res.status(202).json(this.jobResponse(job, 'Listing edit job queued'));
+    } catch (error) {
+      logger.error('Listing edit endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error during listing edit',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete, hide/unhide or mark a listing as reserved/sold
+   * POST /vinted/items/:articleId/:action, DELETE /vinted/items/:articleId
+   */
+  async manageListing(req, res) {
+    try {
+      const { articleId } = req.params;
+      const action = req.method === 'DELETE' ? 'delete' : req.params.action;
+
+      if (!publisherService.getListingActions().includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown action: ${action}`,
+          allowed: publisherService.getListingActions()
+        });
+      }
+
+      logger.info('Listing action request received', { articleId, action });
+
+      const article = await supabaseService.getArticle(articleId);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      if (!article.vinted_id || publisherService.isDraft(article)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Article has no published Vinted listing',
+          status: article.status
+        });
+      }
+
+      const { session, error: sessionError, status: sessionStatus } = await accountService.resolveSession({
+        ...accountService.getRequestAccount(req),
+        articles: [article]
+      });
+
+      if (sessionError) {
+        return res.status(sessionStatus).json({
+          success: false,
+          error: sessionError
+        });
+      }
+
+      const inFlightJob = jobQueue.findActive(
+        job => job.type === 'listing_action' && String(job.data.articleId) === String(articleId)
+      );
+
+      if (inFlightJob) {
+        return res.status(409).json({
+          ...this.jobResponse(inFlightJob, `Another action (${inFlightJob.data.action}) is in progress for this listing`),
+          success: false
+        });
+      }
+
+      const accountId = session.account_id || null;
+      const handlerFor = (articleRow, sessionRow) =>
+        jobContext => publisherService.manageListing(jobContext, articleRow, sessionRow, action);
+
+      const job = jobQueue.enqueue(
+        'listing_action',
+        { articleId, vintedId: article.vinted_id, action, accountId },
+        handlerFor(article, session),
+        { reload: publisherService.reloadFor(articleId, accountId, handlerFor) }
+      );
+
+      res.status(202).json(this.jobResponse(job, `Listing action "${action}" queued`));
+    } catch (error) {
+      logger.error('Listing action endpoint error', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error during listing action',
+        message: error.message
+      });
+    }
+  }
+
+  jobResponse(job, message) {
+    return {
+      success: true,
+      message,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`
+    };
+  }
 }
 
 module.exports = new VintedController();
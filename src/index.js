@@ -1,8 +1,17 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const logger = require('./utils/logger');
+const secrets = require('./utils/crypto');
+const { classifyError } = require('./utils/errors');
+const { requireAccessToken } = require('./utils/accessToken');
+const playwrightService = require('./services/playwright');
+const browserPool = require('./services/browserPool');
+const schedulerService = require('./services/scheduler');
+const sessionHealthService = require('./services/sessionHealth');
+const artifactService = require('./services/artifacts');
 const healthController = require('./controllers/health');
 const loginController = require('./controllers/login');
 const categoryTestController = require('./controllers/categoryTest');
@@ -10,9 +19,16 @@ const debugVintedController = require('./controllers/debugVinted');
 const debugPhotoUploadController = require('./controllers/debugPhotoUpload');
 const debugArticleController = require('./controllers/debugArticle');
 const vintedController = require('./controllers/vinted');
+const jobsController = require('./controllers/jobs');
+const schedulesController = require('./controllers/schedules');
+const handoffsController = require('./controllers/handoffs');
+const artifactsController = require('./controllers/artifacts');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Refuse to start instead of silently storing session cookies in plaintext
+secrets.assertConfigured();
+
 
 app.use(helmet());
 app.use(cors());
@@ -29,11 +45,31 @@ app.use((req, res, next) => {
 
 app.get('/health', healthController.checkHealth);
 app.get('/ready', healthController.checkReadiness);
-app.post('/cookies/upload', loginController.uploadCookies);
+app.post('/cookies/upload', express.text({ limit: '1mb' }), loginController.uploadCookies);
 app.post('/login', loginController.loginToVinted);
 app.get('/session/status', loginController.getSessionStatus);
+app.get('/accounts', loginController.listAccounts);
 app.delete('/session/:sessionId', loginController.invalidateSession);
-app.post('/vinted/publish', vintedController.publishArticle);
+app.post('/vinted/publish', vintedController.publishArticle.bind(vintedController));
+app.post('/vinted/publish/batch', vintedController.publishBatch.bind(vintedController));
+app.post('/vinted/drafts/:articleId/publish', vintedController.publishDraft.bind(vintedController));
+app.put('/vinted/items/:articleId', vintedController.editListing.bind(vintedController));
+app.delete('/vinted/items/:articleId', vintedController.manageListing.bind(vintedController));
+app.post('/vinted/items/:articleId/:action', vintedController.manageListing.bind(vintedController));
+app.get('/vinted/schedules', schedulesController.listSchedules);
+app.delete('/vinted/schedules/:scheduleId', schedulesController.cancelSchedule);
+app.get('/jobs/:jobId', jobsController.getJob);
+app.get('/jobs/:jobId/screencast', requireAccessToken, jobsController.streamScreencast);
+app.get('/jobs/:jobId/artifacts', jobsController.listArtifacts);
+app.post('/jobs/:jobId/retry', jobsController.retryJob);
+app.get('/artifacts/:artifactId', requireAccessToken, artifactsController.downloadArtifact);
+// Viewer is often opened over plain HTTP inside the network - don't upgrade its requests to HTTPS
+app.use('/viewer', helmet.contentSecurityPolicy({ directives: { upgradeInsecureRequests: null } }), express.static(path.join(__dirname, 'public/viewer')));
+app.get('/handoffs', requireAccessToken, handoffsController.listHandoffs);
+app.get('/handoffs/:handoffId', requireAccessToken, handoffsController.getHandoff);
+app.get('/handoffs/:handoffId/screenshot', requireAccessToken, handoffsController.getScreenshot);
+app.post('/handoffs/:handoffId/actions', requireAccessToken, handoffsController.performActions);
+app.delete('/handoffs/:handoffId', requireAccessToken, handoffsController.abortHandoff);
 app.post('/test/category', categoryTestController.testCategorySelection);
 app.get('/test/categories', categoryTestController.listCategories);
 app.get('/debug/upload-form', debugVintedController.inspectUploadForm.bind(debugVintedController));
@@ -51,7 +87,16 @@ app.get('/', (req, res) => {
       readiness: '/ready',
       login: 'POST /login',
       cookiesUpload: 'POST /cookies/upload',
-      vintedPublish: 'POST /vinted/publish'
+      accounts: 'GET /accounts',
+      vintedPublish: 'POST /vinted/publish',
+      vintedPublishBatch: 'POST /vinted/publish/batch',
+      vintedSchedules: 'GET /vinted/schedules',
+      jobStatus: 'GET /jobs/:jobId',
+      jobScreencast: 'GET /jobs/:jobId/screencast',
+      jobArtifacts: 'GET /jobs/:jobId/artifacts',
+      jobRetry: 'POST /jobs/:jobId/retry',
+      viewer: 'GET /viewer/?jobId=',
+      handoffs: 'GET /handoffs'
     }
   });
 });
@@ -64,14 +109,18 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
+  const { code, status } = classifyError(err);
+
   logger.error('Unhandled error', {
     error: err.message,
+    errorCode: code,
     stack: err.stack,
     path: req.path
   });
 
-  res.status(err.status || 500).json({
+  res.status(err.status || status).json({
     error: 'Internal Server Error',
+    errorCode: code,
     message: process.env.NODE_ENV === 'production'
       ? 'Something went wrong'
       : err.message
@@ -82,20 +131,40 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Puppeteer Vinted Service started on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Health check: http://localhost:${PORT}/health`);
+  logger.info(`Session encryption: ${secrets.isEnabled() ? 'enabled' : 'DISABLED (ALLOW_PLAINTEXT_SESSIONS=true)'}`);
+
+  if (process.env.BROWSER_POOL_WARM !== 'false') {
+    browserPool.warmUp();
+  }
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    schedulerService.start();
+  }
+
+  sessionHealthService.start();
+  artifactService.start();
 });
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    schedulerService.stop();
+    sessionHealthService.stop();
+    artifactService.stop();
+    await playwrightService.closeBrowser();
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    schedulerService.stop();
+    sessionHealthService.stop();
+    artifactService.stop();
+    await playwrightService.closeBrowser();
     process.exit(0);
   });
 });
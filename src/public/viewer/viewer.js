@@ -0,0 +1,122 @@
+// Live-Ansicht eines Jobs: MJPEG von /jobs/:id/screencast + Status-Polling
+// Wartet der Job auf einen Operator (Captcha/2FA), gehen Klicks und Code an /handoffs/:id/actions
+
+const screen = document.getElementById('screen');
+const statusEl = document.getElementById('status');
+const stepsEl = document.getElementById('steps');
+const handoffEl = document.getElementById('handoff');
+
+let jobId = new URLSearchParams(location.search).get('jobId');
+// OPERATOR_ACCESS_TOKEN, als ?token= an die Viewer-URL gehängt
+const token = new URLSearchParams(location.search).get('token');
+let handoff = null;
+let pollTimer = null;
+
+function startStream() {
+  // Query-Parameter erzwingt eine neue Verbindung (z.B. nach neuer Seite im Batch)
+  const params = new URLSearchParams({ t: Date.now(), ...(token ? { token } : {}) });
+  screen.src = `/jobs/${encodeURIComponent(jobId)}/screencast?${params}`;
+}
+
+// Kein Stream (Job wartet noch) oder Seite geschlossen - bis zum Jobende neu verbinden
+screen.addEventListener('error', () => {
+  setTimeout(() => {
+    if (jobId && !['succeeded', 'failed'].includes(statusEl.dataset.state)) {
+      startStream();
+    }
+  }, 3000);
+});
+
+async function poll() {
+  const response = await fetch(`/jobs/${encodeURIComponent(jobId)}`);
+
+  if (!response.ok) {
+    statusEl.textContent = 'Job nicht gefunden';
+    return;
+  }
+
+  const { job } = await response.json();
+  statusEl.dataset.state = job.status;
+  statusEl.textContent = [job.type, job.status, job.currentStep, job.error].filter(Boolean).join(' · ');
+
+  stepsEl.innerHTML = '';
+  for (const step of job.steps) {
+    const li = document.createElement('li');
+    li.className = step.status;
+    li.textContent = step.detail ? `${step.name} (${step.detail})` : step.name;
+    stepsEl.appendChild(li);
+  }
+
+  handoff = job.handoff;
+  handoffEl.style.display = handoff ? 'block' : 'none';
+  screen.classList.toggle('handoff', !!handoff);
+  if (handoff) {
+    document.getElementById('handoffType').textContent = `${handoff.type} (${handoff.reason})`;
+  }
+
+  if (['succeeded', 'failed'].includes(job.status)) {
+    clearInterval(pollTimer);
+  }
+}
+
+async function sendAction(action) {
+  if (!handoff) {
+    return;
+  }
+
+  const response = await fetch(`/handoffs/${handoff.id}/actions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(action)
+  });
+
+  if (!response.ok) {
+    const { error } = await response.json();
+    alert(error);
+  }
+}
+
+// Bildkoordinaten → Viewport-Koordinaten der Seite
+screen.addEventListener('click', event => {
+  if (!handoff || !handoff.viewport) {
+    return;
+  }
+
+  const rect = screen.getBoundingClientRect();
+  sendAction({
+    type: 'click',
+    x: Math.round((event.clientX - rect.left) / rect.width * handoff.viewport.width),
+    y: Math.round((event.clientY - rect.top) / rect.height * handoff.viewport.height)
+  });
+});
+
+document.getElementById('codeForm').addEventListener('submit', event => {
+  event.preventDefault();
+  sendAction({ type: 'code', code: document.getElementById('code').value.trim() });
+});
+
+document.getElementById('done').addEventListener('click', () => sendAction({ type: 'done' }));
+document.getElementById('abort').addEventListener('click', () => sendAction({ type: 'abort' }));
+
+document.getElementById('open').addEventListener('submit', event => {
+  event.preventDefault();
+  const value = document.getElementById('jobId').value.trim();
+  if (value) {
+    const params = new URLSearchParams({ jobId: value, ...(token ? { token } : {}) });
+    history.replaceState(null, '', `?${params}`);
+    watch(value);
+  }
+});
+
+function watch(id) {
+  jobId = id;
+  document.getElementById('jobId').value = id;
+  clearInterval(pollTimer);
+  startStream();
+  poll();
+  pollTimer = setInterval(poll, 2000);
+}
+
+if (jobId) {
+  watch(jobId);
+}
@@ -0,0 +1,105 @@
+const supabaseService = require('./supabase');
+const { getMarketplace, isSupported } = require('../utils/marketplaces');
+const logger = require('../utils/logger');
+
+/**
+ * Decides which Vinted account (shop) acts for a request, and so on which
+ * marketplace (vinted.de, .at, .fr)
+ * An explicit accountId / accountEmail wins, otherwise the account the
+ * articles are bound to (articles.account_id). Without either, the most
+ * recently used session of any account is taken, as before accounts existed.
+ */
+class AccountService {
+  /**
+   * Pick account and session for a request
+   * @param {object} params - { accountId, accountEmail } from the request,
+   *   { articles } rows the request works on
+   * @returns {Promise<object>} { account, session } or { error, status }
+   */
+  async resolveSession({ accountId = null, accountEmail = null, articles = [] } = {}) {
+    let account = null;
+
+    if (accountId || accountEmail) {
+      account = await supabaseService.getAccount({ accountId, accountEmail });
+
+      if (!account) {
+        return { error: `Vinted account not found: ${accountId || accountEmail}`, status: 404 };
+      }
+    }
+
+    const boundIds = [...new Set(
+      articles.filter(article => article.account_id).map(article => String(article.account_id))
+    )];
+
+    if (boundIds.length > 1) {
+      return { error: 'Articles belong to different Vinted accounts', status: 400 };
+    }
+
+    if (boundIds.length === 1) {
+      if (account && String(account.id) !== boundIds[0]) {
+        return { error: `Article is bound to Vinted account ${boundIds[0]}, not ${account.id}`, status: 409 };
+      }
+
+      if (!account) {
+        account = await supabaseService.getAccount({ accountId: boundIds[0] });
+      }
+    }
+
+    const session = await supabaseService.getActiveSession(account);
+
+    if (!session) {
+      const scope = account ? ` for account ${account.email}` : '';
+      return { error: `No active Vinted session found${scope}. Please login first.`, status: 401 };
+    }
+
+    if (!account && session.account_id) {
+      account = await supabaseService.getAccount({ accountId: session.account_id });
+    }
+
+    if (account && account.marketplace && !isSupported(account.marketplace)) {
+      return { error: `Vinted account ${account.email} is on unsupported marketplace "${account.marketplace}"`, status: 422 };
+    }
+
+    const marketplace = this.getMarketplaceCode(account);
+
+    logger.debug('Resolved Vinted account', { accountId: account?.id || null, sessionId: session.id, marketplace });
+
+    // marketplace travels with the session into the publisher
+    return { account, session: { ...session, marketplace } };
+  }
+
+  /**
+   * Marketplace code of an account (vinted_accounts.marketplace), default VINTED_MARKETPLACE
+   */
+  getMarketplaceCode(account) {
+    return getMarketplace(account && account.marketplace).code;
+  }
+
+  /**
+   * Reject a request marketplace that differs from the existing account's
+   * The account's sessions belong to its marketplace domain, so login and cookie
+   * upload can't move an account to another one
+   * @returns {object|null} { error, status } or null if they match
+   */
+  checkMarketplace(account, marketplace) {
+    if (!account || !marketplace || marketplace === this.getMarketplaceCode(account)) {
+      return null;
+    }
+
+    return { error: `Vinted account ${account.email} is on marketplace "${this.getMarketplaceCode(account)}", not "${marketplace}"`, status: 400 };
+  }
+
+  /**
+   * accountId / accountEmail from the body or the query string
+   */
+  getRequestAccount(req) {
+    const source = { ...req.query, ...(req.body || {}) };
+
+    return {
+      accountId: source.accountId || null,
+      accountEmail: source.accountEmail || null
+    };
+  }
+}
+
+module.exports = new AccountService();
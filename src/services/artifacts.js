@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const supabaseService = require('./supabase');
+const logger = require('../utils/logger');
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// ========================================
+// BACKENDS
+// ========================================
+
+/**
+ * One directory per artifact under ARTIFACTS_DIR with the file and a meta.json
+ */
+class LocalArtifactStore {
+  constructor(dir) {
+    this.name = 'local';
+    this.dir = path.resolve(dir);
+  }
+
+  async put(meta, { data, filePath }) {
+    const artifactDir = path.join(this.dir, meta.id);
+    const target = path.join(artifactDir, meta.name);
+
+    await fs.promises.mkdir(artifactDir, { recursive: true });
+
+    if (filePath) {
+      await this.moveFile(filePath, target);
+    } else {
+      await fs.promises.writeFile(target, data);
+    }
+
+    const { size } = await fs.promises.stat(target);
+    const stored = { ...meta, size };
+
+    await fs.promises.writeFile(path.join(artifactDir, 'meta.json'), JSON.stringify(stored));
+    return stored;
+  }
+
+  async getMeta(artifactId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, artifactId, 'meta.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+
+    const metas = await Promise.all(entries.filter(id => ID_PATTERN.test(id)).map(id => this.getMeta(id)));
+    return metas.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async listByJob(jobId) {
+    return (await this.list()).filter(meta => meta.jobId === jobId);
+  }
+
+  async listExpired(cutoff) {
+    return (await this.list()).filter(meta => new Date(meta.createdAt) < cutoff);
+  }
+
+  async remove(meta) {
+    await fs.promises.rm(path.join(this.dir, meta.id), { recursive: true, force: true });
+  }
+
+  /**
+   * Where GET /artifacts/:id gets the file from
+   */
+  async download(meta) {
+    return { filePath: path.join(this.dir, meta.id, meta.name) };
+  }
+
+  async moveFile(source, target) {
+    try {
+      await fs.promises.rename(source, target);
+    } catch (error) {
+      // Temp dir on another device
+      await fs.promises.copyFile(source, target);
+      await fs.promises.unlink(source);
+    }
+  }
+}
+
+/**
+ * Supabase Storage bucket (S3-compatible) for the files, table job_artifacts
+ * for the metadata so artifacts can be found per job and expired by date
+ */
+class SupabaseArtifactStore {
+  constructor(bucket) {
+    this.name = 'supabase';
+    this.bucket = bucket;
+    // Lifetime of the signed download links GET /artifacts/:id redirects to
+    this.signedUrlSeconds = 60 * 60;
+  }
+
+  get client() {
+    return supabaseService.supabase;
+  }
+
+  async put(meta, { data, filePath }) {
+    const body = filePath ? await fs.promises.readFile(filePath) : data;
+    const objectPath = `${meta.id}/${meta.name}`;
+
+    const { error: uploadError } = await this.client.storage
+      .from(this.bucket)
+      .upload(objectPath, body, { contentType: meta.contentType });
+
+    if (uploadError) {
+      throw uploadError;
+    }
+
+    if (filePath) {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+
+    const stored = { ...meta, size: body.length };
+
+    const { error } = await this.client
+      .from('job_artifacts')
+      .insert({
+        id: stored.id,
+        job_id: stored.jobId,
+        kind: stored.kind,
+        name: stored.name,
+        content_type: stored.contentType,
+        size: stored.size,
+        path: objectPath,
+        created_at: stored.createdAt
+      });
+
+    if (error) {
+      await this.client.storage.from(this.bucket).remove([objectPath]);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  async getMeta(artifactId) {
+    const { data, error } = await this.client
+      .from('job_artifacts')
+      .select('*')
+      .eq('id', artifactId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? this.toMeta(data) : null;
+  }
+
+  async listByJob(jobId) {
+    const { data, error } = await this.client
+      .from('job_artifacts')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(row => this.toMeta(row));
+  }
+
+  async listExpired(cutoff) {
+    const { data, error } = await this.client
+      .from('job_artifacts')
+      .select('*')
+      .lt('created_at', cutoff.toISOString())
+      .limit(500);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(row => this.toMeta(row));
+  }
+
+  async remove(meta) {
+    const { error: storageError } = await this.client.storage.from(this.bucket).remove([meta.path]);
+
+    if (storageError) {
+      throw storageError;
+    }
+
+    const { error } = await this.client
+      .from('job_artifacts')
+      .delete()
+      .eq('id', meta.id);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  async download(meta) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .createSignedUrl(meta.path, this.signedUrlSeconds, { download: meta.name });
+
+    if (error) {
+      throw error;
+    }
+
+    return { redirectUrl: data.signedUrl };
+  }
+
+  toMeta(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      kind: row.kind,
+      name: row.name,
+      contentType: row.content_type,
+      size: row.size,
+      path: row.path,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// ========================================
+// SERVICE
+// ========================================
+
+/**
+ * Files a job leaves behind for debugging: screenshots, HTML snapshots,
+ * Playwright traces, HAR files
+ * ARTIFACT_STORE picks the backend (local | supabase). API responses and
+ * activity_log.details carry a reference with a stable download URL
+ * (GET /artifacts/:artifactId) instead of embedding the file. Artifacts older
+ * than ARTIFACT_RETENTION_DAYS are removed by a periodic cleanup.
+ */
+class ArtifactService {
+  constructor() {
+    const backend = process.env.ARTIFACT_STORE || 'local';
+
+    this.store = backend === 'supabase'
+      ? new SupabaseArtifactStore(process.env.ARTIFACT_BUCKET || 'artifacts')
+      : new LocalArtifactStore(process.env.ARTIFACTS_DIR || 'data/artifacts');
+
+    this.retentionDays = parseInt(process.env.ARTIFACT_RETENTION_DAYS) || 7;
+    this.cleanupTimer = null;
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  start() {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    logger.info('Artifact store ready', { backend: this.store.name, retentionDays: this.retentionDays });
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 6 * 60 * 60 * 1000);
+    this.cleanupTimer.unref();
+    this.cleanup();
+  }
+
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  // ========================================
+  // ARTIFACTS
+  // ========================================
+
+  /**
+   * Store a file
+   * @param {object} artifact - { jobId, kind: 'screenshot' | 'html' | 'trace' | 'har', name, contentType },
+   *   { data } Buffer/string or { filePath } of a file to move into the store
+   * @returns {Promise<object>} Reference { id, kind, name, size, url }
+   */
+  async save({ jobId = null, kind, name, contentType, data = null, filePath = null }) {
+    const meta = {
+      id: crypto.randomUUID(),
+      jobId,
+      kind,
+      name: path.basename(name),
+      contentType,
+      createdAt: new Date().toISOString()
+    };
+
+    const stored = await this.store.put(meta, { data, filePath });
+
+    logger.info('Artifact saved', { artifactId: stored.id, jobId, kind, size: stored.size, backend: this.store.name });
+
+    return this.reference(stored);
+  }
+
+  /**
+   * Like save(), but never throws - for evidence collected while a run is
+   * already failing
+   * @returns {Promise<object|null>}
+   */
+  async trySave(artifact) {
+    try {
+      return await this.save(artifact);
+    } catch (error) {
+      logger.error('Failed to save artifact', { kind: artifact.kind, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Metadata of a stored artifact, null if unknown
+   */
+  async get(artifactId) {
+    if (!ID_PATTERN.test(artifactId)) {
+      return null;
+    }
+
+    return this.store.getMeta(artifactId);
+  }
+
+  /**
+   * How to deliver the file: { filePath } to send or { redirectUrl }
+   */
+  async download(meta) {
+    return this.store.download(meta);
+  }
+
+  async listByJob(jobId) {
+    const metas = await this.store.listByJob(jobId);
+    return metas.map(meta => this.reference(meta));
+  }
+
+  /**
+   * What goes into API responses and logs
+   */
+  reference(meta) {
+    return {
+      id: meta.id,
+      kind: meta.kind,
+      name: meta.name,
+      size: meta.size,
+      url: `/artifacts/${meta.id}`
+    };
+  }
+
+  // ========================================
+  // RETENTION
+  // ========================================
+
+  async cleanup() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+    try {
+      const expired = await this.store.listExpired(cutoff);
+
+      for (const meta of expired) {
+        await this.store.remove(meta);
+      }
+
+      if (expired.length > 0) {
+        logger.info('Expired artifacts removed', { count: expired.length, backend: this.store.name });
+      }
+
+      return expired.length;
+    } catch (error) {
+      logger.error('Artifact cleanup failed', { error: error.message });
+      return 0;
+    }
+  }
+}
+
+module.exports = new ArtifactService();
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const { chromium } = require('playwright');
+const logger = require('../utils/logger');
+
+/**
+ * Pool of warm Chromium browsers
+ * Each slot runs one job at a time. Browsers are recycled after a number of
+ * jobs or when memory usage crosses a threshold, callers queue when all slots
+ * are busy.
+ */
+class BrowserPool {
+  constructor() {
+    this.size = parseInt(process.env.BROWSER_POOL_SIZE) || 1;
+    this.maxJobsPerBrowser = parseInt(process.env.BROWSER_MAX_JOBS) || 50;
+    // 0 = no memory based recycling
+    this.maxMemoryMb = parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 0;
+    this.acquireTimeout = parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT) || 5 * 60 * 1000;
+
+    this.slots = [];
+    this.waiting = [];
+    // Called when a caller has to queue, so holders of idle contexts
+    // (parked publish runs, see resumableRuns.js) can give their slot back
+    this.reclaimers = [];
+    this.counters = {
+      launched: 0,
+      recycled: 0,
+      acquired: 0,
+      acquireTimeouts: 0
+    };
+  }
+
+  // ========================================
+  // LEASING
+  // ========================================
+
+  /**
+   * Get exclusive use of a browser slot
+   * Resolves with the slot once a browser is free; release it with release(slot)
+   */
+  async acquire() {
+    let slot = this.slots.find(s => !s.busy && !s.recycling);
+
+    if (!slot && this.slots.length < this.size) {
+      slot = this.createSlot();
+    }
+
+    if (!slot) {
+      logger.info('All browser slots busy, queueing caller', {
+        size: this.size,
+        waiting: this.waiting.length + 1
+      });
+      const waiting = this.waitForSlot();
+      this.reclaimers.forEach(reclaim => reclaim());
+      slot = await waiting;
+    }
+
+    slot.busy = true;
+
+    try {
+      await this.ensureBrowser(slot);
+    } catch (error) {
+      slot.busy = false;
+      this.handOff(slot);
+      throw error;
+    }
+
+    slot.leasedAt = Date.now();
+    this.counters.acquired++;
+    return slot;
+  }
+
+  /**
+   * Register a callback that frees an idle slot when callers queue
+   */
+  onSlotShortage(reclaim) {
+    this.reclaimers.push(reclaim);
+  }
+
+  /**
+   * Return a slot to the pool, recycling its browser if it is worn out
+   */
+  async release(slot) {
+    if (!slot || !slot.busy) {
+      return;
+    }
+
+    slot.jobs++;
+    slot.leasedAt = null;
+
+    const reason = this.getRecycleReason(slot);
+
+    if (reason) {
+      slot.recycling = true;
+      slot.busy = false;
+
+      try {
+        await this.recycle(slot, reason);
+      } finally {
+        slot.recycling = false;
+      }
+    } else {
+      slot.busy = false;
+    }
+
+    this.handOff(slot);
+  }
+
+  waitForSlot() {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, queuedAt: Date.now() };
+
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        this.counters.acquireTimeouts++;
+        reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a free browser`));
+      }, this.acquireTimeout);
+
+      this.waiting.push(waiter);
+    });
+  }
+
+  handOff(slot) {
+    if (slot.busy || slot.recycling) {
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      // Mark busy before resolving so no other caller grabs the slot in between
+      slot.busy = true;
+      waiter.resolve(slot);
+    }
+  }
+
+  // ========================================
+  // BROWSER LIFECYCLE
+  // ========================================
+
+  createSlot() {
+    const slot = {
+      id: this.slots.length + 1,
+      browser: null,
+      launching: null,
+      busy: false,
+      recycling: false,
+      jobs: 0,
+      launchedAt: null,
+      leasedAt: null
+    };
+    this.slots.push(slot);
+    return slot;
+  }
+
+  async ensureBrowser(slot) {
+    if (slot.browser && slot.browser.isConnected()) {
+      return slot.browser;
+    }
+
+    // warmUp() and acquire() may race for the same slot - share one launch
+    if (!slot.launching) {
+      slot.launching = this.launchBrowser(slot)
+        .then(browser => {
+          slot.browser = browser;
+          slot.jobs = 0;
+          slot.launchedAt = Date.now();
+          return browser;
+        })
+        .finally(() => {
+          slot.launching = null;
+        });
+    }
+
+    return slot.launching;
+  }
+
+  async launchBrowser(slot) {
+    try {
+      logger.info('Launching Playwright browser...', { slot: slot.id });
+
+      // Docker containers don't have a display, so must run headless
+      // To see browser action, test locally on Windows with visible browser
+      const isHeadless = process.env.PUPPETEER_HEADLESS !== 'false'; // Default to true
+      logger.info(`Browser mode: ${isHeadless ? 'HEADLESS (Docker)' : 'VISIBLE (Local)'}`);
+
+      const browser = await chromium.launch({
+        headless: isHeadless, // true for Docker, false for local testing
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-blink-features=AutomationControlled',
+          '--disable-dev-shm-usage',
+          '--disable-web-security',
+          '--disable-features=IsolateOrigins,site-per-process'
+        ]
+      });
+
+      browser.on('disconnected', () => {
+        logger.warn('Browser disconnected', { slot: slot.id });
+        if (slot.browser === browser) {
+          slot.browser = null;
+        }
+      });
+
+      this.counters.launched++;
+      logger.info('Browser launched successfully', { slot: slot.id });
+      return browser;
+    } catch (error) {
+      logger.error('Failed to launch browser', { slot: slot.id, error: error.message });
+      throw error;
+    }
+  }
+
+  getRecycleReason(slot) {
+    if (!slot.browser || !slot.browser.isConnected()) {
+      return null;
+    }
+
+    if (slot.jobs >= this.maxJobsPerBrowser) {
+      return `job limit reached (${slot.jobs}/${this.maxJobsPerBrowser})`;
+    }
+
+    if (this.maxMemoryMb > 0) {
+      const memoryMb = this.getMemoryUsageMb();
+      if (memoryMb !== null && memoryMb > this.maxMemoryMb) {
+        return `memory ${memoryMb}MB above ${this.maxMemoryMb}MB`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Close the slot's browser and launch a fresh one so the slot stays warm
+   */
+  async recycle(slot, reason) {
+    logger.info('Recycling browser', { slot: slot.id, reason, jobs: slot.jobs });
+
+    const browser = slot.browser;
+    slot.browser = null;
+
+    try {
+      await browser.close();
+    } catch (error) {
+      logger.warn('Error closing browser during recycle', { slot: slot.id, error: error.message });
+    }
+
+    this.counters.recycled++;
+
+    try {
+      await this.ensureBrowser(slot);
+    } catch (error) {
+      // Next acquire() will retry the launch
+      logger.warn('Relaunch after recycle failed', { slot: slot.id, error: error.message });
+    }
+  }
+
+  /**
+   * Launch all browsers up front so the first jobs don't pay the startup cost
+   */
+  async warmUp() {
+    while (this.slots.length < this.size) {
+      this.createSlot();
+    }
+
+    logger.info('Warming up browser pool', { size: this.size });
+
+    await Promise.all(this.slots.map(async slot => {
+      if (slot.busy || slot.recycling) return;
+      try {
+        await this.ensureBrowser(slot);
+      } catch (error) {
+        logger.warn('Browser warm-up failed', { slot: slot.id, error: error.message });
+      }
+    }));
+  }
+
+  async shutdown() {
+    for (const waiter of this.waiting) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+    this.waiting = [];
+
+    await Promise.all(this.slots.map(async slot => {
+      if (!slot.browser) return;
+      try {
+        await slot.browser.close();
+        logger.info('Browser closed', { slot: slot.id });
+      } catch (error) {
+        logger.error('Error closing browser', { slot: slot.id, error: error.message });
+      }
+      slot.browser = null;
+    }));
+  }
+
+  // ========================================
+  // MONITORING
+  // ========================================
+
+  /**
+   * Memory used by the service and its Chromium processes
+   * cgroup v2, cgroup v1 (both minus reclaimable page cache, like docker stats),
+   * then the RSS of this process and its children
+   * @returns {number|null} MB, null if it can't be measured
+   */
+  getMemoryUsageMb() {
+    const cgroups = [
+      { usage: '/sys/fs/cgroup/memory.current', stat: '/sys/fs/cgroup/memory.stat', cache: 'inactive_file' },
+      { usage: '/sys/fs/cgroup/memory/memory.usage_in_bytes', stat: '/sys/fs/cgroup/memory/memory.stat', cache: 'total_inactive_file' }
+    ];
+
+    for (const cgroup of cgroups) {
+      try {
+        const bytes = parseInt(fs.readFileSync(cgroup.usage, 'utf8').trim());
+        if (!isNaN(bytes)) {
+          return Math.round(Math.max(bytes - this.readCgroupStat(cgroup.stat, cgroup.cache), 0) / 1024 / 1024);
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return this.getProcessTreeMemoryMb();
+  }
+
+  readCgroupStat(file, key) {
+    try {
+      const line = fs.readFileSync(file, 'utf8').split('\n').find(l => l.startsWith(`${key} `));
+      return line ? parseInt(line.split(' ')[1]) || 0 : 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * RSS of this process plus all descendants (Chromium and its renderers) from /proc
+   * Not whole-system memory: that includes page cache and other services
+   */
+  getProcessTreeMemoryMb() {
+    let pids;
+    try {
+      pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+    } catch (e) {
+      return null;
+    }
+
+    const children = new Map();
+    for (const pid of pids) {
+      try {
+        // ppid is the 2nd field after "(comm)", comm may contain spaces
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        const ppid = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1];
+        children.set(ppid, [...(children.get(ppid) || []), pid]);
+      } catch (e) {
+        continue;
+      }
+    }
+
+    let kb = 0;
+    const queue = [String(process.pid)];
+    while (queue.length > 0) {
+      const pid = queue.shift();
+      queue.push(...(children.get(pid) || []));
+      try {
+        const match = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+)/m);
+        kb += match ? parseInt(match[1]) : 0;
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return Math.round(kb / 1024);
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      busy: this.slots.filter(s => s.busy).length,
+      idle: this.slots.filter(s => !s.busy && !s.recycling && s.browser).length,
+      recycling: this.slots.filter(s => s.recycling).length,
+      waiting: this.waiting.length,
+      maxJobsPerBrowser: this.maxJobsPerBrowser,
+      maxMemoryMb: this.maxMemoryMb || null,
+      memoryUsageMb: this.getMemoryUsageMb(),
+      ...this.counters,
+      slots: this.slots.map(slot => ({
+        id: slot.id,
+        connected: !!(slot.browser && slot.browser.isConnected()),
+        busy: slot.busy,
+        recycling: slot.recycling,
+        jobs: slot.jobs,
+        uptime: slot.launchedAt ? Math.floor((Date.now() - slot.launchedAt) / 1000) : null,
+        leasedFor: slot.leasedAt ? Math.floor((Date.now() - slot.leasedAt) / 1000) : null
+      }))
+    };
+  }
+}
+
+module.exports = new BrowserPool();
@@ -15,26 +15,27 @@ class FormFieldSelector {
    * @param {Page} page - Playwright page object
    * @param {string} fieldType - Type of field: 'category', 'brand', 'size', 'condition', 'color'
    * @param {string|array} value - Value to select (array for hierarchical like category)
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * @param {object} options - { labels } field labels of the marketplace's UI language
+   * @returns {Promise<{success: boolean, error?: string, strategy?: string, resolvedValue?: string}>}
    */
-  async selectField(page, fieldType, value) {
+  async selectField(page, fieldType, value, options = {}) {
     logger.info(`Selecting ${fieldType}`, { value });
     
     try {
-      // CRITICAL: Make sure we're on /items/new
+      // CRITICAL: Make sure we're on the item form (/items/new or /items/:id/edit)
       const currentUrl = page.url();
-      if (!currentUrl.includes('/items/new')) {
-        logger.error(`Wrong page! Expected /items/new, got: ${currentUrl}`);
+      if (!this.isItemFormUrl(currentUrl)) {
+        logger.error(`Wrong page! Expected /items/new or /items/:id/edit, got: ${currentUrl}`);
         return { 
           success: false, 
-          error: `Wrong page: ${currentUrl}. Must be on /items/new` 
+          error: `Wrong page: ${currentUrl}. Must be on /items/new or /items/:id/edit` 
         };
       }
       
       // Step 1: Find and click the field button to open modal/menu
-      const buttonClicked = await this.openFieldModal(page, fieldType);
+      const openStrategy = await this.openFieldModal(page, fieldType, options.labels);
       
-      if (!buttonClicked) {
+      if (!openStrategy) {
         return { 
           success: false, 
           error: `Could not open ${fieldType} field modal` 
@@ -45,14 +46,22 @@ class FormFieldSelector {
       await playwrightService.randomDelay(800, 1200);
       
       // Step 2: Select the value(s)
+      let result;
       if (fieldType === 'category' && Array.isArray(value)) {
         // Category has hierarchical selection
-        return await this.selectCategoryHierarchy(page, value);
+        result = await this.selectCategoryHierarchy(page, value);
       } else {
         // Simple single selection
-        return await this.selectOption(page, fieldType, value);
+        result = await this.selectOption(page, fieldType, value);
       }
       
+      // Step 3: Read back what Vinted actually shows in the field
+      if (result.success) {
+        result.resolvedValue = await this.readFieldValue(page, fieldType);
+      }
+      
+      return { ...result, openStrategy };
+      
     } catch (error) {
       logger.error(`Error selecting ${fieldType}`, { 
         error: error.message,
@@ -62,11 +71,19 @@ class FormFieldSelector {
     }
   }
   
+  /**
+   * Upload form (/items/new) or edit form of an existing listing (/items/:id/edit)
+   */
+  isItemFormUrl(url) {
+    return url.includes('/items/new') || /\/items\/\d+\/edit/.test(url);
+  }
+  
   /**
    * Open the field modal/menu by clicking the field button
    * SCOPED TO FORM ONLY - avoids clicking navigation links!
+   * @returns {Promise<string|false>} Name of the strategy that worked
    */
-  async openFieldModal(page, fieldType) {
+  async openFieldModal(page, fieldType, labels = []) {
     logger.info(`Opening ${fieldType} field modal...`);
     
     // STRATEGY: Find the FORM first, then search within it
@@ -119,6 +136,12 @@ class FormFieldSelector {
         return false;
       }
       
+      // Labels of the marketplace language (e.g. "Marque" on vinted.fr) go first
+      if (labels && labels.length > 0) {
+        patterns.textMatches = [...new Set([...labels, ...patterns.textMatches])];
+        patterns.placeholders = [...new Set([...labels, ...patterns.placeholders])];
+      }
+      
       // Try multiple strategies to find the field button WITHIN the form
       const strategies = [
         {
@@ -268,7 +291,7 @@ class FormFieldSelector {
           const result = await strategy.action();
           if (result) {
             logger.info(`✓ ${strategy.name} succeeded`);
-            return true;
+            return strategy.name;
           }
         } catch (error) {
           logger.debug(`✗ ${strategy.name} failed: ${error.message}`);
@@ -354,6 +377,7 @@ class FormFieldSelector {
    */
   async selectCategoryHierarchy(page, pathParts) {
     logger.info('Navigating category hierarchy', { parts: pathParts });
+    const strategies = [];
     
     for (let i = 0; i < pathParts.length; i++) {
       const categoryName = pathParts[i].trim();
@@ -370,16 +394,18 @@ class FormFieldSelector {
         };
       }
       
+      strategies.push(selected);
+      
       // Wait for next level to load
       await playwrightService.randomDelay(1000, 1500);
       
-      // Verify we're still on /items/new
+      // Verify we're still on the item form
       const currentUrl = page.url();
-      if (!currentUrl.includes('/items/new')) {
+      if (!this.isItemFormUrl(currentUrl)) {
         logger.error(`Navigation detected! URL changed to: ${currentUrl}`);
         return {
           success: false,
-          error: `Navigated away from /items/new to ${currentUrl}`,
+          error: `Navigated away from item form to ${currentUrl}`,
           level: i + 1
         };
       }
@@ -388,11 +414,12 @@ class FormFieldSelector {
     logger.info('Category hierarchy selection completed');
     await playwrightService.randomDelay(1500, 2000);
     
-    return { success: true };
+    return { success: true, strategy: strategies.join(' → ') };
   }
   
   /**
    * Select a specific category level (helper for hierarchy)
+   * @returns {Promise<string|false>} Name of the strategy that worked
    */
   async selectCategoryLevel(page, categoryName, level) {
     const strategies = [
@@ -564,7 +591,7 @@ class FormFieldSelector {
         const result = await strategy.action();
         if (result) {
           logger.info(`✓ Selected "${categoryName}" with: ${strategy.name}`);
-          return true;
+          return strategy.name;
         }
       } catch (error) {
         logger.debug(`✗ Failed: ${strategy.name}`, { error: error.message });
@@ -624,7 +651,7 @@ class FormFieldSelector {
           if (result) {
             logger.info(`✓ Selected option with: ${strategy.name}`);
             await playwrightService.randomDelay(500, 1000);
-            return { success: true };
+            return { success: true, strategy: strategy.name };
           }
         } catch (e) {
           continue;
@@ -640,6 +667,33 @@ class FormFieldSelector {
       return { success: false, error: error.message };
     }
   }
+  
+  /**
+   * Read the value currently shown in a custom field
+   * The readonly inputs hold the selected option's label after selection
+   */
+  async readFieldValue(page, fieldType) {
+    const fieldSelectors = {
+      'category': '[data-testid="catalog-select-dropdown-input"], input#category',
+      'brand': '[data-testid="brand-input"], input#brand',
+      'size': '[data-testid="size-input"], input#size',
+      'condition': '[data-testid="status-input"], input#status',
+      'color': '[data-testid="color-input"], input#color'
+    };
+    
+    const selector = fieldSelectors[fieldType];
+    if (!selector) {
+      return null;
+    }
+    
+    try {
+      const value = await page.locator(selector).first().inputValue({ timeout: 2000 });
+      return value || null;
+    } catch (e) {
+      logger.debug(`Could not read ${fieldType} value: ${e.message}`);
+      return null;
+    }
+  }
 }
 
 module.exports = new FormFieldSelector();
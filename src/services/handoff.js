@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getMarketplace } = require('../utils/marketplaces');
+const { ERROR_CODES, VintedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Third-party challenge frames: DataDome, reCAPTCHA, hCaptcha, Cloudflare Turnstile
+const CAPTCHA_FRAME_PATTERN = /captcha|datadome|challenges\.cloudflare\.com/i;
+// The invisible-reCAPTCHA badge sits on ordinary pages and never needs solving
+const PASSIVE_FRAME_PATTERN = /[?&]size=invisible/i;
+
+// Iframes are checked via CAPTCHA_FRAME_PATTERN, not here
+const CAPTCHA_SELECTORS = [
+  '#px-captcha',
+  '[data-testid*="captcha"]'
+];
+
+const VERIFICATION_URL_PATTERN = /verification|two_factor|two-factor|2fa|member\/verify/i;
+
+const CODE_INPUT_SELECTORS = [
+  'input[autocomplete="one-time-code"]',
+  'input[name="code"]',
+  'input[name="verification_code"]'
+];
+
+const ACTIONS = ['click', 'type', 'press', 'scroll', 'code', 'done', 'abort'];
+
+/**
+ * Human-in-the-loop handoff for captchas and email/SMS verification screens
+ * A flow that hits a challenge pauses its job and waits here. The operator
+ * watches the page via screenshots (GET /handoffs/:id/screenshot) and sends
+ * clicks, keystrokes or the verification code back; once the challenge is
+ * gone the flow continues where it stopped.
+ *
+ * Handoff states: waiting → resolved | aborted | expired | failed
+ */
+class HandoffService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.HITL_TIMEOUT) || 300000;
+    this.webhookUrl = process.env.HITL_WEBHOOK_URL || null;
+    // Base URL for links in the webhook, e.g. https://vinted-service.example.com
+    this.publicUrl = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+    this.pollMs = 2000;
+    // Finished handoffs stay listed this long
+    this.retentionMs = 60 * 60 * 1000;
+
+    this.handoffs = new Map();
+  }
+
+  // ========================================
+  // DETECTION
+  // ========================================
+
+  /**
+   * Look for a captcha or verification screen on the page (no waiting)
+   * @returns {Promise<object|null>} { type: 'captcha' | 'verification', reason }
+   */
+  async detectChallenge(page, marketplace = getMarketplace()) {
+    if (!page || page.isClosed()) {
+      return null;
+    }
+
+    // Invisible reCAPTCHA and DataDome embed hidden frames on ordinary pages - only a visible one is a challenge
+    for (const frame of page.frames()) {
+      const url = frame.url();
+      if (frame === page.mainFrame() || !CAPTCHA_FRAME_PATTERN.test(url) || PASSIVE_FRAME_PATTERN.test(url)) {
+        continue;
+      }
+      if (await this.isFrameVisible(frame)) {
+        return { type: 'captcha', reason: new URL(url).hostname };
+      }
+    }
+
+    if (await this.anyVisible(page, CAPTCHA_SELECTORS)) {
+      return { type: 'captcha', reason: 'captcha element on page' };
+    }
+
+    if (VERIFICATION_URL_PATTERN.test(page.url())) {
+      return { type: 'verification', reason: 'verification page' };
+    }
+
+    if (await this.anyVisible(page, CODE_INPUT_SELECTORS)) {
+      return { type: 'verification', reason: 'verification code input' };
+    }
+
+    for (const text of marketplace.strings.verification || []) {
+      if (await this.isVisible(page.getByText(text, { exact: false }).first())) {
+        return { type: 'verification', reason: `"${text}"` };
+      }
+    }
+
+    return null;
+  }
+
+  async anyVisible(page, selectors) {
+    for (const selector of selectors) {
+      if (await this.isVisible(page.locator(selector).first())) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async isFrameVisible(frame) {
+    let element = null;
+    try {
+      element = await frame.frameElement();
+      if (!(await element.isVisible())) {
+        return false;
+      }
+      // Playwright still calls 1x1 or off-screen (negative offset) iframes visible
+      const box = await element.boundingBox();
+      return !!box && box.width > 1 && box.height > 1 && box.x + box.width > 0 && box.y + box.height > 0;
+    } catch (e) {
+      return false;
+    } finally {
+      if (element) {
+        await element.dispose().catch(() => {});
+      }
+    }
+  }
+
+  async isVisible(locator) {
+    try {
+      return await locator.isVisible();
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // ========================================
+  // HANDOFF
+  // ========================================
+
+  /**
+   * Hand the page to an operator if a challenge is showing, and wait until
+   * it is solved
+   * @param {object} options - { job } job context to pause, { stage } where
+   *   the flow stopped (login, open_session, submit), { marketplace }
+   * @returns {Promise<object|null>} The resolved handoff, null if there was no challenge
+   * @throws {Error} When the operator aborts or HITL_TIMEOUT passes
+   */
+  async resolveChallenge(page, options = {}) {
+    const challenge = await this.detectChallenge(page, options.marketplace);
+
+    if (!challenge) {
+      return null;
+    }
+
+    return this.waitForOperator(page, challenge, options);
+  }
+
+  async waitForOperator(page, challenge, options = {}) {
+    const { job = null, stage = null, marketplace = getMarketplace() } = options;
+    const now = Date.now();
+
+    const handoff = {
+      id: crypto.randomUUID(),
+      jobId: job ? job.id : null,
+      jobType: job ? job.type : null,
+      type: challenge.type,
+      reason: challenge.reason,
+      stage,
+      status: 'waiting',
+      pageUrl: page.url(),
+      viewport: page.viewportSize(),
+      actions: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.timeoutMs).toISOString(),
+      finishedAt: null,
+      error: null
+    };
+
+    this.cleanup();
+    // page and the action chain stay out of the serialized handoff
+    this.handoffs.set(handoff.id, { handoff, page, queue: Promise.resolve() });
+
+    logger.warn('Challenge detected, waiting for operator', {
+      handoffId: handoff.id,
+      jobId: handoff.jobId,
+      type: handoff.type,
+      reason: handoff.reason,
+      stage
+    });
+
+    if (job) {
+      job.progress('handoff', 'running', `${handoff.type}: waiting for operator (${handoff.id})`);
+      job.setHandoff(this.serialize(handoff));
+    }
+
+    await this.notify(handoff);
+
+    try {
+      let clearPolls = 0;
+
+      while (handoff.status === 'waiting') {
+        await new Promise(resolve => setTimeout(resolve, this.pollMs));
+
+        if (handoff.status !== 'waiting') {
+          break;
+        }
+
+        if (Date.now() > new Date(handoff.expiresAt).getTime()) {
+          this.finish(handoff, 'expired', 'No operator response within HITL_TIMEOUT');
+          break;
+        }
+
+        if (page.isClosed()) {
+          this.finish(handoff, 'failed', 'Page was closed during handoff');
+          break;
+        }
+
+        // Two clear polls in a row, so a page mid-navigation doesn't count as solved
+        const stillThere = await this.detectChallenge(page, marketplace);
+        clearPolls = stillThere ? 0 : clearPolls + 1;
+
+        if (clearPolls >= 2) {
+          this.finish(handoff, 'resolved');
+        } else if (stillThere) {
+          // E.g. the captcha was solved and Vinted now asks for an email code
+          handoff.type = stillThere.type;
+          handoff.reason = stillThere.reason;
+          handoff.pageUrl = page.url();
+
+          if (job) {
+            job.setHandoff(this.serialize(handoff));
+          }
+        }
+      }
+    } finally {
+      if (job) {
+        job.setHandoff(null);
+      }
+    }
+
+    logger.info('Handoff finished', { handoffId: handoff.id, status: handoff.status });
+
+    if (handoff.status !== 'resolved') {
+      throw new VintedError(ERROR_CODES.ANTI_BOT_BLOCK, `Operator handoff ${handoff.status}: ${handoff.error || handoff.type}`);
+    }
+
+    if (job) {
+      job.progress('handoff', 'succeeded', `${handoff.type} solved`);
+    }
+
+    return this.serialize(handoff);
+  }
+
+  finish(handoff, status, error = null) {
+    handoff.status = status;
+    handoff.error = error;
+    handoff.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * POST the handoff to HITL_WEBHOOK_URL (e.g. n8n) so someone gets pinged
+   */
+  async notify(handoff) {
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    const base = `${this.publicUrl}/handoffs/${handoff.id}`;
+
+    try {
+      await axios.post(this.webhookUrl, {
+        event: 'handoff_requested',
+        ...this.serialize(handoff),
+        links: {
+          handoff: base,
+          screenshot: `${base}/screenshot`,
+          actions: `${base}/actions`
+        }
+      }, { timeout: 10000 });
+
+      logger.info('Handoff webhook sent', { handoffId: handoff.id });
+    } catch (error) {
+      logger.error('Handoff webhook failed', { handoffId: handoff.id, error: error.message });
+    }
+  }
+
+  // ========================================
+  // OPERATOR API
+  // ========================================
+
+  getHandoff(handoffId) {
+    const entry = this.handoffs.get(handoffId);
+    return entry ? this.serialize(entry.handoff) : null;
+  }
+
+  listHandoffs(status = null) {
+    this.cleanup();
+    return [...this.handoffs.values()]
+      .map(entry => this.serialize(entry.handoff))
+      .filter(handoff => !status || handoff.status === status);
+  }
+
+  /**
+   * Current view of the page the operator is working on
+   * @returns {Promise<Buffer|null>} PNG, null if the handoff is not waiting
+   */
+  async screenshot(handoffId) {
+    const entry = this.handoffs.get(handoffId);
+
+    if (!entry || entry.handoff.status !== 'waiting' || entry.page.isClosed()) {
+      return null;
+    }
+
+    return entry.page.screenshot({ type: 'png' });
+  }
+
+  /**
+   * Run an operator action on the page
+   * Actions of one handoff run one after the other in the order they came in.
+   * @param {object} action - { type: 'click', x, y } | { type: 'type', text } |
+   *   { type: 'press', key } | { type: 'scroll', deltaY } | { type: 'code', code } |
+   *   { type: 'done' } | { type: 'abort' }
+   * @returns {Promise<object>} The handoff after the action
+   */
+  async perform(handoffId, action) {
+    const entry = this.handoffs.get(handoffId);
+
+    if (!entry) {
+      throw Object.assign(new Error('Handoff not found'), { status: 404 });
+    }
+
+    if (!action || !ACTIONS.includes(action.type)) {
+      throw Object.assign(new Error(`Unknown action (supported: ${ACTIONS.join(', ')})`), { status: 400 });
+    }
+
+    const run = entry.queue.then(() => this.runAction(entry, action));
+    // A failed action must not block the next one
+    entry.queue = run.catch(() => {});
+    await run;
+
+    return this.serialize(entry.handoff);
+  }
+
+  async runAction({ handoff, page }, action) {
+    if (handoff.status !== 'waiting') {
+      throw Object.assign(new Error(`Handoff is ${handoff.status}`), { status: 409 });
+    }
+
+    logger.info('Operator action', { handoffId: handoff.id, type: action.type });
+    handoff.actions++;
+
+    switch (action.type) {
+      case 'click':
+        await page.mouse.click(Number(action.x), Number(action.y));
+        break;
+      case 'type':
+        await page.keyboard.type(String(action.text || ''), { delay: 80 });
+        break;
+      case 'press':
+        await page.keyboard.press(String(action.key));
+        break;
+      case 'scroll':
+        await page.mouse.wheel(0, Number(action.deltaY) || 0);
+        break;
+      case 'code':
+        await this.enterCode(page, String(action.code || ''));
+        break;
+      case 'done':
+        this.finish(handoff, 'resolved');
+        break;
+      case 'abort':
+        this.finish(handoff, 'aborted', action.reason || 'Aborted by operator');
+        break;
+    }
+  }
+
+  /**
+   * Type a verification code into the code field and submit it
+   */
+  async enterCode(page, code) {
+    if (!code) {
+      throw Object.assign(new Error('code is required'), { status: 400 });
+    }
+
+    for (const selector of CODE_INPUT_SELECTORS) {
+      const input = page.locator(selector).first();
+
+      if (await this.isVisible(input)) {
+        await input.fill(code);
+        await input.press('Enter');
+        return;
+      }
+    }
+
+    throw Object.assign(new Error('No verification code input found on the page'), { status: 409 });
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  serialize(handoff) {
+    return { ...handoff };
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, { handoff }] of this.handoffs) {
+      if (handoff.finishedAt && new Date(handoff.finishedAt).getTime() < cutoff) {
+        this.handoffs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new HandoffService();
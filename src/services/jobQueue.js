@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { classifyError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * In-memory job queue for long-running browser flows
+ * Callers get a job ID immediately, the handler runs in the background
+ * and reports per-step progress that can be polled via GET /jobs/:id
+ *
+ * Job states: queued → running → succeeded | failed
+ * A running job is 'waiting' while an operator solves a captcha or
+ * verification screen for it (see services/handoff.js)
+ */
+class JobQueue {
+  constructor() {
+    this.jobs = new Map();
+    // Idempotency-Key → job ID, so retried requests map onto the original job
+    this.idempotencyKeys = new Map();
+    // Job ID → resolve callbacks of waitFor()
+    this.waiters = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 1;
+    // Finished jobs are kept this long so callers can still poll the result
+    this.retentionMs = parseInt(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000;
+  }
+
+  // ========================================
+  // PUBLIC API
+  // ========================================
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type, e.g. 'publish'
+   * @param {object} data - Input data, returned as-is in the job status
+   * @param {function} handler - async (jobContext) => result
+   * @param {object} options - { idempotencyKey },
+   *   { reload } async () => handler with freshly loaded input, used by retry(),
+   *   { retry } { of, resume } set by retry()
+   * @returns {object} Serialized job
+   */
+  enqueue(type, data, handler, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      data,
+      steps: [],
+      currentStep: null,
+      handoff: null,
+      retry: options.retry || null,
+      result: null,
+      error: null,
+      // Stable code from utils/errors.js for clients to branch on
+      errorCode: null,
+      retryable: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      handler,
+      reload: options.reload || null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+
+    if (options.idempotencyKey) {
+      this.idempotencyKeys.set(options.idempotencyKey, job.id);
+    }
+
+    logger.info('Job enqueued', {
+      jobId: job.id,
+      type,
+      queueLength: this.pending.length,
+      running: this.running
+    });
+
+    this.cleanup();
+    setImmediate(() => this.drain());
+
+    return this.serialize(job);
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.serialize(job) : null;
+  }
+
+  findByIdempotencyKey(key) {
+    const jobId = this.idempotencyKeys.get(key);
+    return jobId ? this.getJob(jobId) : null;
+  }
+
+  /**
+   * Wait until a job has finished
+   * For synchronous callers, e.g. POST /login?wait=true
+   * @returns {Promise<object|null>} Serialized job (succeeded or failed), null if unknown
+   */
+  waitFor(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (!job) {
+      return Promise.resolve(null);
+    }
+
+    if (job.finishedAt) {
+      return Promise.resolve(this.serialize(job));
+    }
+
+    return new Promise(resolve => {
+      const waiters = this.waiters.get(jobId) || [];
+      waiters.push(resolve);
+      this.waiters.set(jobId, waiters);
+    });
+  }
+
+  /**
+   * Find a queued or running job matching the predicate
+   */
+  findActive(predicate) {
+    for (const job of this.jobs.values()) {
+      if (['queued', 'running', 'waiting'].includes(job.status) && predicate(job)) {
+        return this.serialize(job);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a failed job again with the same input
+   * Jobs enqueued with a reload factory get a handler built from the current
+   * article and session, so fixes made since the failure are picked up;
+   * others rerun their original handler. The handler sees { of, resume } as jobContext.retry - publish jobs use
+   * resume to continue on the failed job's page (see resumableRuns.js)
+   * @param {object} options - { resume }
+   * @returns {object} Serialized new job, or the retry already under way
+   * @throws {Error} With status 404 / 409
+   */
+  retry(jobId, options = {}) {
+    const job = this.jobs.get(jobId);
+
+    if (!job) {
+      throw Object.assign(new Error('Job not found'), { status: 404 });
+    }
+
+    if (job.status !== 'failed') {
+      throw Object.assign(new Error(`Only failed jobs can be retried (status: ${job.status})`), { status: 409 });
+    }
+
+    const active = this.findActive(other => other.retry && other.retry.of === jobId);
+    if (active) {
+      return active;
+    }
+
+    const handler = job.reload
+      ? async jobContext => (await job.reload())(jobContext)
+      : job.handler;
+
+    return this.enqueue(job.type, job.data, handler, {
+      reload: job.reload,
+      retry: { of: jobId, resume: !!options.resume }
+    });
+  }
+
+  getStats() {
+    const stats = { queued: 0, running: 0, waiting: 0, succeeded: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      stats[job.status]++;
+    }
+    return { concurrency: this.concurrency, ...stats };
+  }
+
+  // ========================================
+  // WORKER
+  // ========================================
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    logger.info('Job started', { jobId: job.id, type: job.type });
+
+    try {
+      job.result = await job.handler(this.createContext(job));
+      job.status = 'succeeded';
+      logger.info('Job succeeded', { jobId: job.id, type: job.type });
+    } catch (error) {
+      const { code, retryable } = classifyError(error);
+
+      job.status = 'failed';
+      job.error = error.message;
+      job.errorCode = code;
+      job.retryable = retryable;
+      // Handlers may attach a partial result (duration, screenshot, ...) to the error
+      job.result = error.result || null;
+
+      const failedStep = job.steps.find(s => s.status === 'running');
+      if (failedStep) {
+        failedStep.status = 'failed';
+        failedStep.finishedAt = new Date().toISOString();
+        failedStep.detail = error.message;
+      }
+
+      logger.error('Job failed', {
+        jobId: job.id,
+        type: job.type,
+        error: error.message,
+        errorCode: code,
+        stack: error.stack
+      });
+    } finally {
+      const lastStep = job.steps.find(s => s.status === 'running');
+      if (lastStep) {
+        lastStep.status = 'succeeded';
+        lastStep.finishedAt = new Date().toISOString();
+      }
+
+      job.finishedAt = new Date().toISOString();
+      job.currentStep = null;
+      job.handoff = null;
+      this.running--;
+
+      const waiters = this.waiters.get(job.id) || [];
+      this.waiters.delete(job.id);
+      waiters.forEach(resolve => resolve(this.serialize(job)));
+
+      this.drain();
+    }
+  }
+
+  /**
+   * Context handed to the job handler
+   * progress() records a step; calling it again with the same name updates it
+   */
+  createContext(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      data: job.data,
+      retry: job.retry,
+      progress: (step, status = 'running', detail = null) => {
+        const now = new Date().toISOString();
+        let entry = job.steps.find(s => s.name === step);
+
+        if (!entry) {
+          // A new step implicitly completes the previous running one
+          const previous = job.steps.find(s => s.status === 'running');
+          if (previous) {
+            previous.status = 'succeeded';
+            previous.finishedAt = now;
+          }
+
+          entry = { name: step, status, startedAt: now, finishedAt: null, detail };
+          job.steps.push(entry);
+        } else {
+          entry.status = status;
+          if (detail !== null) entry.detail = detail;
+        }
+
+        if (status !== 'running') {
+          entry.finishedAt = now;
+        }
+
+        job.currentStep = status === 'running' ? step : null;
+        logger.debug('Job progress', { jobId: job.id, step, status });
+      },
+      // Pass the open handoff while waiting for an operator, null to resume
+      setHandoff: handoff => {
+        job.status = handoff ? 'waiting' : 'running';
+        job.handoff = handoff;
+      }
+    };
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  serialize(job) {
+    const { handler, reload, ...rest } = job;
+    return {
+      ...rest,
+      steps: job.steps.map(step => ({ ...step }))
+    };
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+    for (const [key, jobId] of this.idempotencyKeys) {
+      if (!this.jobs.has(jobId)) {
+        this.idempotencyKeys.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -1,57 +1,81 @@
-const { chromium } = require('playwright');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const browserPool = require('./browserPool');
+const artifactService = require('./artifacts');
+const { getMarketplace } = require('../utils/marketplaces');
+const { redactHar } = require('../utils/harRedaction');
+const { withRetry } = require('../utils/retry');
 const logger = require('../utils/logger');
 
+// HAR only records Vinted's API calls (brands, sizes, catalog, item upload) -
+// page loads, images and the multipart photo uploads would bloat it to the size of the photos
+const HAR_URL_FILTER = /\/api\/v2\/(?!photos)/;
+
+/**
+ * Browsers come from the pool, each job gets its own isolated BrowserContext
+ * Each login/publish/debug run gets its own cookies and user agent and
+ * only closes its own context - the browser goes back to the pool
+ */
 class PlaywrightService {
   constructor() {
-    this.browser = null;
-    this.context = null;
     this.defaultTimeout = parseInt(process.env.PUPPETEER_TIMEOUT) || 30000;
+    this.defaultUserAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    // off | on-failure | always - a request can still ask for a trace with "trace": true
+    this.traceMode = process.env.PLAYWRIGHT_TRACE || 'off';
+    // Same modes for HAR capture, per request with "har": true
+    this.harMode = process.env.PLAYWRIGHT_HAR || 'off';
+    // context → temp file its HAR is written to on close
+    this.harFiles = new WeakMap();
+    // context → { files, paused, stopped } of a trace - see pauseTrace()
+    this.traceChunks = new WeakMap();
   }
 
   // ========================================
   // BROWSER MANAGEMENT
   // ========================================
 
-  async launchBrowser() {
-    try {
-      logger.info('Launching Playwright browser...');
-
-      // Docker containers don't have a display, so must run headless
-      // To see browser action, test locally on Windows with visible browser
-      const isHeadless = process.env.PUPPETEER_HEADLESS !== 'false'; // Default to true
-      logger.info(`Browser mode: ${isHeadless ? 'HEADLESS (Docker)' : 'VISIBLE (Local)'}`);
-
-      this.browser = await chromium.launch({
-        headless: isHeadless, // true for Docker, false for local testing
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-blink-features=AutomationControlled',
-          '--disable-dev-shm-usage',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins,site-per-process'
-        ]
-      });
+  /**
+   * Create an isolated context for a single job
+   * @param {object} options - { userAgent, cookies },
+   *   { marketplace } config from utils/marketplaces for locale and timezone,
+   *   { trace } record a Playwright trace, saved with saveTrace(page),
+   *   { har } record network traffic, saved with saveHar(page)
+   */
+  async createContext(options = {}) {
+    const marketplace = options.marketplace || getMarketplace();
+    const slot = await browserPool.acquire();
+    const harFile = options.har ? path.join(os.tmpdir(), `har-${crypto.randomUUID()}.har`) : null;
+    let context;
 
-      // Create a persistent context with viewport and user agent
-      const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-      
-      this.context = await this.browser.newContext({
+    try {
+      context = await slot.browser.newContext({
         viewport: {
           width: 1920,
           height: 1080
         },
-        userAgent: ua,
-        locale: 'de-DE',
-        timezoneId: 'Europe/Berlin',
+        userAgent: options.userAgent || this.defaultUserAgent,
+        locale: marketplace.locale,
+        timezoneId: marketplace.timezone,
+        extraHTTPHeaders: {
+          'Accept-Language': marketplace.acceptLanguage
+        },
         permissions: [],
         // Anti-detection settings
         bypassCSP: true,
-        ignoreHTTPSErrors: true
+        ignoreHTTPSErrors: true,
+        // Bodies are embedded so failed API calls show their response;
+        // saveHar() redacts and trims them before anything is stored
+        ...(harFile ? { recordHar: { path: harFile, content: 'embed', mode: 'full', urlFilter: HAR_URL_FILTER } } : {})
       });
 
+      if (harFile) {
+        this.harFiles.set(context, harFile);
+      }
+
       // Inject anti-detection scripts
-      await this.context.addInitScript(() => {
+      await context.addInitScript(() => {
         Object.defineProperty(navigator, 'webdriver', { get: () => false });
         Object.defineProperty(navigator, 'plugins', { 
           get: () => [1, 2, 3, 4, 5] 
@@ -59,33 +83,44 @@ class PlaywrightService {
         window.chrome = { runtime: {} };
       });
 
-      logger.info('Browser and context launched successfully');
-      return this.browser;
+      if (options.cookies) {
+        await context.addCookies(this.toPlaywrightCookies(options.cookies));
+      }
+
+      if (options.trace) {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+        this.traceChunks.set(context, { files: [], paused: false, stopped: false });
+      }
     } catch (error) {
-      logger.error('Failed to launch browser', { error: error.message });
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      await browserPool.release(slot);
       throw error;
     }
-  }
 
-  async createPage(userAgent = null) {
-    try {
-      if (!this.browser || !this.context) {
-        await this.launchBrowser();
-      }
+    // Give the browser back to the pool however the context ends
+    context.once('close', () => {
+      browserPool.release(slot).catch(error => {
+        logger.error('Failed to release browser slot', { error: error.message });
+      });
+    });
 
-      const page = await this.context.newPage();
+    logger.info('Browser context created', { slot: slot.id, marketplace: marketplace.code });
+    return context;
+  }
 
-      // Set custom user agent if provided
-      if (userAgent) {
-        await page.setExtraHTTPHeaders({
-          'User-Agent': userAgent
-        });
-      }
+  /**
+   * Create a page in a fresh context
+   * Release it with closeContext(page) when the job is done
+   */
+  async createPage(userAgent = null, options = {}) {
+    let context = null;
 
-      // Set extra headers
-      await page.setExtraHTTPHeaders({
-        'Accept-Language': 'de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7'
-      });
+    try {
+      context = await this.createContext({ ...options, userAgent });
+
+      const page = await context.newPage();
 
       // Set default timeout
       page.setDefaultTimeout(this.defaultTimeout);
@@ -94,35 +129,281 @@ class PlaywrightService {
       return page;
     } catch (error) {
       logger.error('Failed to create page', { error: error.message });
+      if (context) {
+        await context.close().catch(() => {});
+      }
       throw error;
     }
   }
 
-  async closeBrowser() {
+  /**
+   * Tear down the context of a job's page - other jobs are not affected
+   */
+  async closeContext(page) {
+    if (!page) {
+      return;
+    }
+
+    const context = page.context();
+
+    try {
+      await context.close();
+      logger.info('Browser context closed');
+    } catch (error) {
+      logger.error('Error closing browser context', { error: error.message });
+    }
+
+    // HAR recorded but not asked for (run succeeded with on-failure)
+    const harFile = this.harFiles.get(context);
+    if (harFile) {
+      this.harFiles.delete(context);
+      await fs.promises.unlink(harFile).catch(() => {});
+    }
+
+    // Same for trace parts recorded before a pause
+    const chunks = this.traceChunks.get(context);
+    if (chunks) {
+      this.traceChunks.delete(context);
+      await Promise.all(chunks.files.map(file => fs.promises.unlink(file).catch(() => {})));
+    }
+  }
+
+  // ========================================
+  // TRACING
+  // ========================================
+
+  /**
+   * Trace mode for one run: 'always' if the request asked for a trace,
+   * otherwise PLAYWRIGHT_TRACE
+   */
+  resolveTraceMode(requested = false) {
+    return requested ? 'always' : this.traceMode;
+  }
+
+  /**
+   * HAR mode for one run: 'always' if the request asked for a HAR,
+   * otherwise PLAYWRIGHT_HAR
+   */
+  resolveHarMode(requested = false) {
+    return requested ? 'always' : this.harMode;
+  }
+
+  /**
+   * Whether a run's trace or HAR is kept (off | on-failure | always)
+   */
+  shouldSave(mode, failed) {
+    return mode === 'always' || (failed && mode === 'on-failure');
+  }
+
+  /**
+   * Stop recording the page's trace until resumeTrace() - nothing done in
+   * between (typed credentials, the login request) ends up in it
+   * The part recorded so far is kept for saveTrace(). If the trace cannot be
+   * paused it is stopped for good, never left running. No-op without a trace.
+   */
+  async pauseTrace(page) {
+    const context = page.context();
+    const state = this.traceChunks.get(context);
+
+    if (!state || state.paused) {
+      return;
+    }
+
+    const file = path.join(os.tmpdir(), `trace-${crypto.randomUUID()}.zip`);
+    state.paused = true;
+
+    try {
+      await context.tracing.stopChunk({ path: file });
+      state.files.push(file);
+    } catch (error) {
+      logger.error('Failed to pause trace, stopping it', { error: error.message });
+      state.stopped = true;
+      await context.tracing.stop().catch(() => {});
+    }
+  }
+
+  async resumeTrace(page) {
+    const context = page.context();
+    const state = this.traceChunks.get(context);
+
+    if (!state || !state.paused || state.stopped) {
+      return;
+    }
+
+    try {
+      await context.tracing.startChunk();
+      state.paused = false;
+    } catch (error) {
+      logger.error('Failed to resume trace', { error: error.message });
+    }
+  }
+
+  /**
+   * Stop the context's trace and store the zip as an artifact
+   * A trace paused in between is stored in parts (trace-part1.zip, ...), all
+   * listed under the job's artifacts; the last part is returned.
+   * Open it with `npx playwright show-trace <file>` or trace.playwright.dev
+   * @returns {Promise<object|null>} Artifact reference, null without a trace
+   */
+  async saveTrace(page, options = {}) {
+    if (!page) {
+      return null;
+    }
+
+    const context = page.context();
+    const state = this.traceChunks.get(context) || { files: [], paused: false, stopped: false };
+    const files = [...state.files];
+    const tempFile = path.join(os.tmpdir(), `trace-${crypto.randomUUID()}.zip`);
+
+    this.traceChunks.delete(context);
+
     try {
-      if (this.context) {
-        await this.context.close();
-        this.context = null;
+      if (state.paused) {
+        await context.tracing.stop().catch(() => {});
+      } else {
+        await context.tracing.stop({ path: tempFile });
+        files.push(tempFile);
       }
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
-        logger.info('Browser closed');
+
+      const name = options.name || 'trace.zip';
+      let reference = null;
+
+      for (const [index, file] of files.entries()) {
+        reference = await artifactService.save({
+          jobId: options.jobId || null,
+          kind: 'trace',
+          name: files.length > 1 ? name.replace(/\.zip$/, `-part${index + 1}.zip`) : name,
+          contentType: 'application/zip',
+          filePath: file
+        });
       }
+
+      return reference;
+    } catch (error) {
+      logger.error('Failed to save trace', { error: error.message });
+      await Promise.all(files.map(file => fs.promises.unlink(file).catch(() => {})));
+      return null;
+    }
+  }
+
+  /**
+   * Close the page's context - Playwright only writes the HAR then - and store
+   * it as an artifact with cookies, auth headers, tokens and passwords redacted
+   * Anything that needs the open page (saveTrace, screenshots) must run before
+   * @returns {Promise<object|null>} Artifact reference, null without a HAR
+   */
+  async saveHar(page, options = {}) {
+    if (!page) {
+      return null;
+    }
+
+    const context = page.context();
+    const harFile = this.harFiles.get(context);
+
+    if (!harFile) {
+      return null;
+    }
+
+    this.harFiles.delete(context);
+
+    try {
+      await context.close();
+
+      const { har, redacted } = redactHar(JSON.parse(await fs.promises.readFile(harFile, 'utf8')));
+
+      logger.info('HAR recorded', { entries: har.log.entries.length, redacted });
+
+      return await artifactService.save({
+        jobId: options.jobId || null,
+        kind: 'har',
+        name: options.name || 'network.har',
+        contentType: 'application/json',
+        data: Buffer.from(JSON.stringify(har), 'utf8')
+      });
     } catch (error) {
-      logger.error('Error closing browser', { error: error.message });
+      logger.error('Failed to save HAR', { error: error.message });
+      return null;
+    } finally {
+      await fs.promises.unlink(harFile).catch(() => {});
     }
   }
 
+  /**
+   * Close all pooled browsers (shutdown only)
+   */
+  async closeBrowser() {
+    await browserPool.shutdown();
+  }
+
   // ========================================
   // HELPER METHODS
   // ========================================
 
-  async takeScreenshot(page, encoding = 'base64') {
+  /**
+   * page.goto until networkidle, retried with backoff on transient failures
+   * (navigation timeouts, connection resets) - see utils/retry.js
+   */
+  async navigate(page, url, options = {}) {
+    return withRetry(
+      () => page.goto(url, { waitUntil: 'networkidle', timeout: 30000, ...options }),
+      { label: `goto ${url}` }
+    );
+  }
+
+  async reload(page, options = {}) {
+    return withRetry(
+      () => page.reload({ waitUntil: 'networkidle', ...options }),
+      { label: 'reload' }
+    );
+  }
+
+  /**
+   * Screenshot as a job artifact instead of base64 in the response
+   * @param {object} options - { jobId, name, fullPage }
+   * @returns {Promise<object|null>} Artifact reference
+   */
+  async captureScreenshot(page, options = {}) {
+    const screenshot = await this.takeScreenshot(page, 'binary', { fullPage: options.fullPage });
+
+    if (!screenshot) {
+      return null;
+    }
+
+    return artifactService.trySave({
+      jobId: options.jobId || null,
+      kind: 'screenshot',
+      name: options.name || 'screenshot.png',
+      contentType: 'image/png',
+      data: screenshot
+    });
+  }
+
+  /**
+   * The page's current DOM as an HTML artifact
+   * @returns {Promise<object|null>} Artifact reference
+   */
+  async captureHtml(page, options = {}) {
+    try {
+      const html = await page.content();
+
+      return artifactService.trySave({
+        jobId: options.jobId || null,
+        kind: 'html',
+        name: options.name || 'page.html',
+        contentType: 'text/html; charset=utf-8',
+        data: Buffer.from(html, 'utf8')
+      });
+    } catch (error) {
+      logger.error('Failed to capture HTML', { error: error.message });
+      return null;
+    }
+  }
+
+  async takeScreenshot(page, encoding = 'base64', options = {}) {
     try {
       const screenshot = await page.screenshot({
         type: 'png',
-        fullPage: false
+        fullPage: options.fullPage || false
       });
       
       if (encoding === 'base64') {
@@ -212,19 +493,7 @@ class PlaywrightService {
         return false;
       }
 
-      // Convert Puppeteer cookie format to Playwright format if needed
-      const playwrightCookies = cookies.map(cookie => ({
-        name: cookie.name,
-        value: cookie.value,
-        domain: cookie.domain,
-        path: cookie.path || '/',
-        expires: cookie.expires || -1,
-        httpOnly: cookie.httpOnly || false,
-        secure: cookie.secure || false,
-        sameSite: cookie.sameSite || 'Lax'
-      }));
-
-      await this.context.addCookies(playwrightCookies);
+      await page.context().addCookies(this.toPlaywrightCookies(cookies));
       logger.info(`Set ${cookies.length} cookies`);
       return true;
     } catch (error) {
@@ -235,7 +504,7 @@ class PlaywrightService {
 
   async getCookies(page) {
     try {
-      const cookies = await this.context.cookies();
+      const cookies = await page.context().cookies();
       logger.info(`Retrieved ${cookies.length} cookies`);
       return cookies;
     } catch (error) {
@@ -244,6 +513,22 @@ class PlaywrightService {
     }
   }
 
+  /**
+   * Convert Puppeteer cookie format to Playwright format if needed
+   */
+  toPlaywrightCookies(cookies) {
+    return cookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path || '/',
+      expires: cookie.expires || -1,
+      httpOnly: cookie.httpOnly || false,
+      secure: cookie.secure || false,
+      sameSite: cookie.sameSite || 'Lax'
+    }));
+  }
+
   // ========================================
   // PLAYWRIGHT-SPECIFIC HELPERS
   // ========================================
@@ -0,0 +1,712 @@
+const vintedService = require('./vinted');
+const supabaseService = require('./supabase');
+const playwrightService = require('./playwright');
+const jobQueue = require('./jobQueue');
+const sessionHealthService = require('./sessionHealth');
+const accountService = require('./accounts');
+const resumableRuns = require('./resumableRuns');
+const { ERROR_CODES, VintedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// articles.status after a successful listing action
+const LISTING_ACTION_STATUS = {
+  delete: 'deleted',
+  hide: 'hidden',
+  unhide: 'published',
+  reserve: 'reserved',
+  sold: 'sold'
+};
+
+/**
+ * Background worker for listing jobs (publish, drafts, edits)
+ * Runs the Playwright flow and persists the outcome in Supabase
+ */
+class PublisherService {
+  constructor() {
+    // Pause between two articles of a batch, so the account doesn't list like a bot
+    this.batchDelayMin = parseInt(process.env.BATCH_DELAY_MIN_MS) || 30000;
+    this.batchDelayMax = parseInt(process.env.BATCH_DELAY_MAX_MS) || 90000;
+  }
+
+  /**
+   * Job handler for 'publish' jobs
+   * @param {object} job - Job context from jobQueue
+   * @param {object} article - Article row from Supabase
+   * @param {object} session - Active vinted_sessions row
+   * @param {object} options - { force } publish even if already on Vinted,
+   *   { dryRun } fill the form and return a field report without submitting,
+   *   { mode: 'draft' } save as Vinted draft instead of publishing,
+   *   { page } logged-in page to reuse (batch publish),
+   *   { trace } keep a Playwright trace of the run (see PLAYWRIGHT_TRACE),
+   *   { har } keep a HAR of its network traffic (see PLAYWRIGHT_HAR)
+   * @returns {Promise<object>} Job result
+   * @throws {Error} With `result` attached when the publish failed
+   */
+  async publish(job, article, session, options = {}) {
+    const articleId = article.id;
+
+    // Re-check right before the browser run: the article may have been
+    // published by another job while this one was queued
+    if (!options.force && !options.dryRun) {
+      const current = await supabaseService.getArticle(articleId);
+
+      if (this.isPublished(current)) {
+        logger.info('Article already published, skipping', {
+          jobId: job.id,
+          articleId,
+          vintedId: current.vinted_id
+        });
+
+        return {
+          articleId,
+          alreadyPublished: true,
+          vinted: {
+            url: current.vinted_url,
+            id: current.vinted_id
+          },
+          duration: 0
+        };
+      }
+
+      if (this.isDraft(current)) {
+        if (options.mode !== 'draft') {
+          throw new VintedError(ERROR_CODES.VALIDATION, 'Article is saved as a Vinted draft - promote it via POST /vinted/drafts/:articleId/publish or pass force');
+        }
+
+        logger.info('Article already saved as draft, skipping', { jobId: job.id, articleId });
+
+        return {
+          articleId,
+          mode: 'draft',
+          alreadyDraft: true,
+          draft: {
+            url: current.vinted_url,
+            id: current.vinted_id
+          },
+          duration: 0
+        };
+      }
+    }
+
+    // Retry with "resume": continue on the failed job's page if it is still parked
+    const resume = job.retry && job.retry.resume && !options.page
+      ? resumableRuns.take(job.retry.of)
+      : null;
+
+    logger.info('Publishing to Vinted', {
+      jobId: job.id,
+      articleId,
+      title: article.title,
+      sessionId: session.id,
+      resumeOf: resume ? job.retry.of : null
+    });
+
+    if (job.retry && job.retry.resume && !options.page && !resume) {
+      logger.info('Nothing to resume, publishing from scratch', { jobId: job.id, retryOf: job.retry.of });
+    }
+
+    // Result of the failed job, filled in below - a run parked for resume
+    // saves its trace/HAR only when released and links them here afterwards
+    let failedResult = null;
+
+    const publishResult = await this.vintedFor(session).publishArticle(
+      article,
+      session.cookies,
+      session.user_agent,
+      {
+        job,
+        dryRun: options.dryRun,
+        mode: options.mode,
+        page: options.page,
+        trace: options.trace,
+        har: options.har,
+        resume,
+        onRelease: artifacts => this.linkReleasedArtifacts(job, failedResult, artifacts)
+      }
+    );
+
+    const action = options.dryRun
+      ? 'vinted_publish_dry_run'
+      : options.mode === 'draft' ? 'vinted_save_draft' : 'vinted_publish';
+
+    if (!publishResult.success) {
+      await supabaseService.logActivity(
+        articleId,
+        action,
+        'failed',
+        { error: publishResult.error, errorCode: publishResult.errorCode, failedStep: publishResult.failedStep, jobId: job.id, fields: publishResult.fields, steps: publishResult.steps, artifacts: this.artifactsOf(publishResult) },
+        publishResult.error,
+        publishResult.duration,
+        session.account_id || null
+      );
+
+      const error = new VintedError(publishResult.errorCode, publishResult.error);
+      error.result = {
+        dryRun: !!options.dryRun,
+        failedStep: publishResult.failedStep,
+        resumableUntil: publishResult.resumableUntil,
+        fields: publishResult.fields,
+        steps: publishResult.steps,
+        duration: publishResult.duration,
+        screenshot: publishResult.screenshot,
+        html: publishResult.html,
+        trace: publishResult.trace,
+        har: publishResult.har
+      };
+      failedResult = error.result;
+      throw error;
+    }
+
+    await this.saveSessionCookies(session, publishResult.cookies);
+
+    if (publishResult.dryRun) {
+      await supabaseService.logActivity(
+        articleId,
+        action,
+        'success',
+        { jobId: job.id, fields: publishResult.fields, steps: publishResult.steps, artifacts: this.artifactsOf(publishResult) },
+        null,
+        publishResult.duration,
+        session.account_id || null
+      );
+
+      logger.info('Dry run completed', {
+        jobId: job.id,
+        articleId,
+        failedFields: publishResult.fields.filter(f => !f.success).map(f => f.field)
+      });
+
+      return {
+        articleId,
+        dryRun: true,
+        fields: publishResult.fields,
+        steps: publishResult.steps,
+        formUrl: publishResult.formUrl,
+        duration: publishResult.duration,
+        screenshot: publishResult.screenshot,
+        trace: publishResult.trace,
+        har: publishResult.har
+      };
+    }
+
+    job.progress('save_result');
+
+    if (publishResult.mode === 'draft') {
+      await supabaseService.updateArticleDraftInfo(
+        articleId,
+        publishResult.vintedUrl,
+        publishResult.vintedId,
+        this.accountBinding(article, session)
+      );
+
+      await supabaseService.updateSessionLastUsed(session.id);
+
+      await supabaseService.logActivity(
+        articleId,
+        action,
+        'success',
+        {
+          draftUrl: publishResult.vintedUrl,
+          draftId: publishResult.vintedId,
+          jobId: job.id,
+          fields: publishResult.fields,
+          steps: publishResult.steps,
+          artifacts: this.artifactsOf(publishResult)
+        },
+        null,
+        publishResult.duration,
+        session.account_id || null
+      );
+
+      logger.info('Draft saved', { jobId: job.id, articleId, draftId: publishResult.vintedId });
+
+      return {
+        articleId,
+        mode: 'draft',
+        draft: {
+          url: publishResult.vintedUrl,
+          id: publishResult.vintedId
+        },
+        fields: publishResult.fields,
+        steps: publishResult.steps,
+        duration: publishResult.duration,
+        trace: publishResult.trace,
+        har: publishResult.har
+      };
+    }
+
+    if (publishResult.verified) {
+      await supabaseService.updateArticleVintedInfo(
+        articleId,
+        publishResult.vintedUrl,
+        publishResult.vintedId,
+        this.accountBinding(article, session)
+      );
+    } else {
+      // Submitted, but no item ID could be confirmed - don't store a guessed one
+      await supabaseService.updateArticleStatus(articleId, 'published_unverified', {
+        ...this.accountBinding(article, session),
+        vinted_published_at: new Date().toISOString()
+      });
+    }
+
+    await supabaseService.updateSessionLastUsed(session.id);
+
+    await supabaseService.logActivity(
+      articleId,
+      'vinted_publish',
+      'success',
+      {
+        vintedUrl: publishResult.vintedUrl,
+        vintedId: publishResult.vintedId,
+        verified: publishResult.verified,
+        idSource: publishResult.idSource,
+        finalUrl: publishResult.finalUrl,
+        jobId: job.id,
+        fields: publishResult.fields,
+        steps: publishResult.steps,
+        artifacts: this.artifactsOf(publishResult)
+      },
+      null,
+      publishResult.duration,
+      session.account_id || null
+    );
+
+    logger.info('Publish completed successfully', {
+      jobId: job.id,
+      articleId,
+      vintedUrl: publishResult.vintedUrl,
+      verified: publishResult.verified,
+      warnings: publishResult.steps.filter(step => step.status === 'warning').map(step => step.name),
+      duration: publishResult.duration
+    });
+
+    return {
+      articleId,
+      verified: publishResult.verified,
+      vinted: {
+        url: publishResult.vintedUrl,
+        id: publishResult.vintedId
+      },
+      fields: publishResult.fields,
+      steps: publishResult.steps,
+      duration: publishResult.duration,
+      screenshot: publishResult.screenshot,
+      trace: publishResult.trace,
+      har: publishResult.har
+    };
+  }
+
+  /**
+   * Job handler for 'publish_batch' jobs
+   * Publishes the articles one after another through a single logged-in
+   * context. A failed article is recorded and the batch moves on.
+   * @param {object} options - { force, dryRun, mode } as for publish(),
+   *   { onResult } called with each article's result as soon as it is done
+   * @returns {Promise<object>} Summary with one entry per article
+   */
+  async publishBatch(job, articles, session, options = {}) {
+    const startTime = Date.now();
+    const { onResult = () => {}, ...publishOptions } = options;
+    const items = [];
+
+    logger.info('Starting batch publish', {
+      jobId: job.id,
+      count: articles.length,
+      sessionId: session.id
+    });
+
+    let page = await this.vintedFor(session).openSession(session.cookies, session.user_agent, { job });
+
+    try {
+      for (let i = 0; i < articles.length; i++) {
+        const article = articles[i];
+        const step = `article:${article.id}`;
+
+        if (i > 0) {
+          job.progress('pause');
+          await playwrightService.randomDelay(this.batchDelayMin, this.batchDelayMax);
+        }
+
+        // A crashed or closed context would fail every remaining article
+        if (page.isClosed()) {
+          logger.warn('Batch page was closed, opening a new session', { jobId: job.id });
+
+          try {
+            page = await this.vintedFor(session).openSession(session.cookies, session.user_agent, { job });
+          } catch (error) {
+            for (const skipped of articles.slice(i)) {
+              const item = { articleId: skipped.id, success: false, skipped: true, reason: 'session_lost', error: error.message };
+              items.push(item);
+              onResult(item);
+            }
+            break;
+          }
+        }
+
+        job.progress(step);
+
+        // Sub-steps of the article show up as the detail of its batch step
+        const articleJob = {
+          ...job,
+          progress: subStep => job.progress(step, 'running', subStep)
+        };
+
+        let item;
+
+        try {
+          const result = await this.publish(articleJob, article, session, { ...publishOptions, page });
+          // Already on Vinted (or saved as draft) - nothing was done for it
+          const skipReason = result.alreadyPublished ? 'already_published' : result.alreadyDraft ? 'already_draft' : null;
+          item = skipReason ? { success: true, skipped: true, reason: skipReason, ...result } : { success: true, ...result };
+          job.progress(step, 'succeeded', skipReason || result.vinted?.url || result.draft?.url || null);
+        } catch (error) {
+          item = { articleId: article.id, success: false, error: error.message, ...error.result };
+          job.progress(step, 'failed', error.message);
+        }
+
+        items.push(item);
+        onResult(item);
+      }
+    } finally {
+      try {
+        if (items.some(item => item.success) && !page.isClosed()) {
+          await this.saveSessionCookies(session, await this.vintedFor(session).captureCookies(page));
+        }
+      } catch (error) {
+        logger.warn('Could not save batch session cookies', { jobId: job.id, error: error.message });
+      } finally {
+        await playwrightService.closeContext(page);
+      }
+    }
+
+    const summary = {
+      total: articles.length,
+      succeeded: items.filter(item => item.success && !item.skipped).length,
+      failed: items.filter(item => !item.success && !item.skipped).length,
+      skipped: items.filter(item => item.skipped).length,
+      items,
+      duration: Date.now() - startTime
+    };
+
+    logger.info('Batch publish finished', {
+      jobId: job.id,
+      total: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      skipped: summary.skipped,
+      duration: summary.duration
+    });
+
+    return summary;
+  }
+
+  /**
+   * Job handler for 'promote_draft' jobs - publishes a saved Vinted draft
+   */
+  async promoteDraft(job, article, session) {
+    const articleId = article.id;
+
+    logger.info('Promoting Vinted draft', {
+      jobId: job.id,
+      articleId,
+      draftId: article.vinted_id
+    });
+
+    const result = await this.vintedFor(session).publishDraft(
+      article.vinted_id,
+      session.cookies,
+      session.user_agent,
+      { job }
+    );
+
+    if (!result.success) {
+      await supabaseService.logActivity(
+        articleId,
+        'vinted_promote_draft',
+        'failed',
+        { error: result.error, errorCode: result.errorCode, draftId: article.vinted_id, jobId: job.id, artifacts: this.artifactsOf(result) },
+        result.error,
+        result.duration,
+        session.account_id || null
+      );
+
+      const error = new VintedError(result.errorCode, result.error);
+      error.result = { duration: result.duration, screenshot: result.screenshot, html: result.html };
+      throw error;
+    }
+
+    job.progress('save_result');
+
+    await supabaseService.updateArticleVintedInfo(articleId, result.vintedUrl, result.vintedId);
+    await supabaseService.updateSessionLastUsed(session.id);
+    await this.saveSessionCookies(session, result.cookies);
+
+    await supabaseService.logActivity(
+      articleId,
+      'vinted_promote_draft',
+      'success',
+      { vintedUrl: result.vintedUrl, vintedId: result.vintedId, jobId: job.id },
+      null,
+      result.duration,
+      session.account_id || null
+    );
+
+    return {
+      articleId,
+      vinted: {
+        url: result.vintedUrl,
+        id: result.vintedId
+      },
+      duration: result.duration
+    };
+  }
+
+  /**
+   * Job handler for 'edit_listing' jobs - syncs a live listing with Supabase
+   * Every changed field gets its own activity log entry
+   */
+  async editListing(job, article, session, options = {}) {
+    const articleId = article.id;
+
+    logger.info('Editing Vinted listing', {
+      jobId: job.id,
+      articleId,
+      vintedId: article.vinted_id
+    });
+
+    const result = await this.vintedFor(session).editListing(
+      article,
+      session.cookies,
+      session.user_agent,
+      { job, replacePhotos: options.replacePhotos }
+    );
+
+    for (const change of result.changes) {
+      await supabaseService.logActivity(
+        articleId,
+        'vinted_edit',
+        change.success && result.success ? 'success' : 'failed',
+        { ...change, vintedId: article.vinted_id, jobId: job.id },
+        change.error || (result.success ? null : result.error),
+        null,
+        session.account_id || null
+      );
+    }
+
+    if (!result.success) {
+      if (result.changes.length === 0) {
+        await supabaseService.logActivity(
+          articleId,
+          'vinted_edit',
+          'failed',
+          { vintedId: article.vinted_id, errorCode: result.errorCode, jobId: job.id, artifacts: this.artifactsOf(result) },
+          result.error,
+          result.duration,
+          session.account_id || null
+        );
+      }
+
+      const error = new VintedError(result.errorCode, result.error);
+      error.result = { changes: result.changes, duration: result.duration, screenshot: result.screenshot, html: result.html };
+      throw error;
+    }
+
+    await supabaseService.updateSessionLastUsed(session.id);
+    await this.saveSessionCookies(session, result.cookies);
+
+    return {
+      articleId,
+      vintedId: article.vinted_id,
+      changed: result.changes.length > 0,
+      changes: result.changes,
+      duration: result.duration
+    };
+  }
+
+  /**
+   * Job handler for 'listing_action' jobs (delete, hide, unhide, reserve, sold)
+   */
+  async manageListing(job, article, session, action) {
+    const articleId = article.id;
+    const vintedId = article.vinted_id;
+
+    logger.info('Running listing action', { jobId: job.id, articleId, vintedId, action });
+
+    const result = await this.vintedFor(session).manageListing(
+      vintedId,
+      action,
+      session.cookies,
+      session.user_agent,
+      { job }
+    );
+
+    if (!result.success) {
+      await supabaseService.logActivity(
+        articleId,
+        `vinted_${action}`,
+        'failed',
+        { vintedId, errorCode: result.errorCode, jobId: job.id, artifacts: this.artifactsOf(result) },
+        result.error,
+        result.duration,
+        session.account_id || null
+      );
+
+      const error = new VintedError(result.errorCode, result.error);
+      error.result = { action, duration: result.duration, screenshot: result.screenshot, html: result.html };
+      throw error;
+    }
+
+    job.progress('save_result');
+
+    const status = LISTING_ACTION_STATUS[action];
+    const extra = {};
+
+    if (action === 'sold') {
+      extra.sold_at = new Date().toISOString();
+    } else if (action === 'delete') {
+      // Listing is gone - clearing the IDs lets the article be published again
+      extra.vinted_id = null;
+      extra.vinted_url = null;
+    }
+
+    await supabaseService.updateArticleStatus(articleId, status, extra);
+    await supabaseService.updateSessionLastUsed(session.id);
+    await this.saveSessionCookies(session, result.cookies);
+
+    await supabaseService.logActivity(
+      articleId,
+      `vinted_${action}`,
+      'success',
+      { vintedId, status, jobId: job.id },
+      null,
+      result.duration,
+      session.account_id || null
+    );
+
+    return {
+      articleId,
+      vintedId,
+      action,
+      status,
+      duration: result.duration
+    };
+  }
+
+  /**
+   * Queued or running publish of this article, single or as part of a batch
+   */
+  findInFlightPublish(articleId) {
+    return jobQueue.findActive(job => {
+      if (job.data.dryRun) {
+        return false;
+      }
+      if (job.type === 'publish') {
+        return String(job.data.articleId) === String(articleId);
+      }
+      if (job.type === 'publish_batch') {
+        return job.data.articleIds.some(id => String(id) === String(articleId));
+      }
+      return false;
+    });
+  }
+
+  /**
+   * reload factory for jobQueue.enqueue: on a retry, read the article again
+   * and resolve the account's current session, then build the handler with
+   * them - the failed job's rows may be stale (article fixed, cookies
+   * re-uploaded or invalidated)
+   * @param {function} handlerFor - (article, session) => job handler
+   * @returns {function} async () => job handler
+   * @throws {VintedError} When the retry runs and the article is gone or no session resolves
+   */
+  reloadFor(articleId, accountId, handlerFor) {
+    return async () => {
+      const article = await supabaseService.getArticle(articleId);
+
+      if (!article) {
+        throw new VintedError(ERROR_CODES.VALIDATION, `Article not found: ${articleId}`);
+      }
+
+      const { session, error, status } = await accountService.resolveSession({ accountId, articles: [article] });
+
+      if (error) {
+        throw new VintedError(status === 401 ? ERROR_CODES.SESSION_EXPIRED : ERROR_CODES.VALIDATION, error);
+      }
+
+      return handlerFor(article, session);
+    };
+  }
+
+  /**
+   * Artifact references of a browser run for activity_log.details
+   */
+  artifactsOf(result) {
+    return [result.screenshot, result.html, result.trace, result.har].filter(Boolean);
+  }
+
+  /**
+   * Add trace/HAR of a released parked run to the failed job's result (the
+   * object the job queue holds) and its activity_log row
+   */
+  async linkReleasedArtifacts(job, result, { trace, har }) {
+    const artifacts = [trace, har].filter(Boolean);
+
+    if (artifacts.length === 0) {
+      return;
+    }
+
+    if (result) {
+      Object.assign(result, { trace, har });
+    }
+
+    await supabaseService.addActivityArtifacts(job.id, artifacts);
+  }
+
+  /**
+   * Keep the session row in sync with the cookies the browser ended up with
+   */
+  async saveSessionCookies(session, cookies) {
+    const refreshed = await sessionHealthService.refreshCookies(session, cookies);
+
+    if (refreshed) {
+      logger.info('Saved rotated session cookies', { sessionId: session.id, cookieCount: cookies.length });
+    }
+  }
+
+  /**
+   * Vinted service for the marketplace of the session's account
+   */
+  vintedFor(session) {
+    return vintedService.forMarketplace(session.marketplace);
+  }
+
+  /**
+   * Bind an unbound article to the account that listed it, so later edits
+   * and listing actions run through the same shop
+   */
+  accountBinding(article, session) {
+    return !article.account_id && session.account_id
+      ? { account_id: session.account_id }
+      : {};
+  }
+
+  getListingActions() {
+    return Object.keys(LISTING_ACTION_STATUS);
+  }
+
+  isPublished(article) {
+    // 'published_unverified' counts too: re-publishing would create a duplicate
+    return !!article && (
+      article.status === 'published' ||
+      article.status === 'published_unverified' ||
+      (!!article.vinted_id && !this.isDraft(article))
+    );
+  }
+
+  isDraft(article) {
+    return !!article && article.status === 'draft_on_vinted';
+  }
+}
+
+module.exports = new PublisherService();
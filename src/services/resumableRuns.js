@@ -0,0 +1,109 @@
+const browserPool = require('./browserPool');
+const logger = require('../utils/logger');
+
+/**
+ * Failed publish runs kept open for a retry with "resume": true
+ * After a step fails, vinted.publishArticle parks its run here instead of
+ * closing the context; POST /jobs/:jobId/retry takes it and continues from
+ * the failed step on the same page. A run that is not resumed within
+ * PUBLISH_RESUME_GRACE_MS - or whose browser slot another job is waiting
+ * for - is released (trace/HAR saved, context closed).
+ */
+class ResumableRuns {
+  constructor() {
+    // 0 disables parking, failed runs close their context right away
+    const grace = parseInt(process.env.PUBLISH_RESUME_GRACE_MS);
+    this.graceMs = isNaN(grace) ? 5 * 60 * 1000 : grace;
+
+    // failed job ID → { run, release, expiresAt, timer }
+    this.parked = new Map();
+
+    browserPool.onSlotShortage(() => this.releaseOldest('browser slot needed'));
+  }
+
+  get enabled() {
+    return this.graceMs > 0;
+  }
+
+  /**
+   * Keep a failed run open
+   * @param {string} jobId - The failed job
+   * @param {object} run - Run state of publishArticle (page, steps, fields, ...)
+   * @param {function} release - async () => void, saves artifacts and closes the context
+   * @returns {string} ISO time until which the run can be resumed
+   */
+  park(jobId, run, release) {
+    const expiresAt = new Date(Date.now() + this.graceMs).toISOString();
+    const timer = setTimeout(() => this.release(jobId, 'grace period over'), this.graceMs);
+    timer.unref();
+
+    this.parked.set(jobId, { run, release, expiresAt, timer });
+
+    // Browser crashed or context closed elsewhere - nothing left to resume
+    run.page.once('close', () => {
+      const entry = this.parked.get(jobId);
+      if (entry && entry.run === run) {
+        clearTimeout(entry.timer);
+        this.parked.delete(jobId);
+      }
+    });
+
+    logger.info('Failed publish parked for resume', { jobId, failedStep: run.failedStep, expiresAt });
+    return expiresAt;
+  }
+
+  /**
+   * Hand a parked run to the retry - it owns the context from here on
+   * @returns {object|null} The run, null if it expired or was never parked
+   */
+  take(jobId) {
+    const entry = this.parked.get(jobId);
+
+    if (!entry) {
+      return null;
+    }
+
+    clearTimeout(entry.timer);
+    this.parked.delete(jobId);
+
+    if (entry.run.page.isClosed()) {
+      return null;
+    }
+
+    logger.info('Resuming parked publish', { jobId, failedStep: entry.run.failedStep });
+    return entry.run;
+  }
+
+  has(jobId) {
+    return this.parked.has(jobId);
+  }
+
+  async release(jobId, reason) {
+    const entry = this.parked.get(jobId);
+
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.parked.delete(jobId);
+
+    logger.info('Releasing parked publish', { jobId, reason });
+
+    try {
+      await entry.release();
+    } catch (error) {
+      logger.error('Failed to release parked publish', { jobId, error: error.message });
+    }
+  }
+
+  releaseOldest(reason) {
+    const [jobId] = this.parked.keys();
+
+    if (jobId) {
+      this.release(jobId, reason);
+    }
+  }
+}
+
+module.exports = new ResumableRuns();
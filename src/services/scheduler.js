@@ -0,0 +1,373 @@
+const supabaseService = require('./supabase');
+const publisherService = require('./publisher');
+const accountService = require('./accounts');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Publishes articles at a planned time instead of when the request comes in
+ * Schedules live in Supabase (publish_schedules), so they survive restarts.
+ * Each schedule has a time window, the exact publish time is picked at random
+ * inside it. Sources: `schedule` in POST /vinted/publish or articles.publish_at.
+ *
+ * Schedule states: pending → queued → done | failed, or cancelled / missed / skipped
+ */
+class SchedulerService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60000;
+    // Window length for articles.publish_at, which only gives the start
+    this.defaultWindowMinutes = parseInt(process.env.SCHEDULE_WINDOW_MINUTES) || 30;
+    // A schedule this long past its window end is not published any more
+    this.missedAfterMinutes = parseInt(process.env.SCHEDULE_MISSED_AFTER_MINUTES) || 60;
+
+    this.timer = null;
+    this.ticking = false;
+    // article ID → pending findOrSchedule(), so concurrent requests share one lookup
+    this.scheduling = new Map();
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info('Starting publish scheduler', { intervalMs: this.intervalMs });
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+
+    await this.recoverQueued();
+    await this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      await this.importArticleSchedules();
+      await this.dispatchDue();
+    } catch (error) {
+      logger.error('Scheduler tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Jobs only live in memory - a schedule still 'queued' after a restart lost
+   * its job and goes back to pending. publish() re-checks the article, so one
+   * that did get published before the restart is not listed twice.
+   */
+  async recoverQueued() {
+    try {
+      const stale = await supabaseService.getPublishSchedules({ status: 'queued' });
+
+      for (const schedule of stale) {
+        if (schedule.job_id && jobQueue.getJob(schedule.job_id)) {
+          continue;
+        }
+
+        logger.warn('Re-queueing schedule whose job was lost', { scheduleId: schedule.id });
+        await this.markSchedule(schedule.id, { status: 'pending', job_id: null });
+      }
+    } catch (error) {
+      logger.error('Failed to recover queued schedules', { error: error.message });
+    }
+  }
+
+  // ========================================
+  // SCHEDULING
+  // ========================================
+
+  /**
+   * Validate a schedule from the API
+   * @param {object} schedule - { at } exact time or { windowStart, windowEnd }
+   * @returns {object} { windowStart, windowEnd } as Dates, or { error }
+   */
+  parseWindow(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+      return { error: 'schedule must be an object with "at" or "windowStart"/"windowEnd"' };
+    }
+
+    const windowStart = new Date(schedule.at || schedule.windowStart);
+    const windowEnd = new Date(schedule.at || schedule.windowEnd || schedule.windowStart);
+
+    if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime())) {
+      return { error: 'schedule times must be ISO 8601 dates, e.g. 2024-06-02T18:00:00+02:00' };
+    }
+
+    if (windowEnd < windowStart) {
+      return { error: 'schedule.windowEnd must not be before schedule.windowStart' };
+    }
+
+    if (windowEnd.getTime() <= Date.now()) {
+      return { error: 'schedule lies in the past' };
+    }
+
+    return { windowStart, windowEnd };
+  }
+
+  /**
+   * Persist a schedule with a random publish time inside the window
+   */
+  async scheduleArticle(articleId, { windowStart, windowEnd }, options = {}) {
+    // Never pick a time that has already passed
+    const earliest = new Date(Math.max(windowStart.getTime(), Date.now()));
+    const scheduledFor = this.randomTimeInWindow(earliest, windowEnd);
+
+    return supabaseService.createPublishSchedule({
+      articleId,
+      windowStart: windowStart.toISOString(),
+      windowEnd: windowEnd.toISOString(),
+      scheduledFor: scheduledFor.toISOString(),
+      mode: options.mode,
+      source: options.source,
+      accountId: options.accountId
+    });
+  }
+
+  /**
+   * Schedule an article from the API unless it already has a pending or
+   * queued schedule - a retried request (with or without Idempotency-Key) gets that
+   * one back instead of a second publish. To move it, cancel it first.
+   * @returns {Promise<object>} { schedule, existing }
+   */
+  async findOrSchedule(articleId, window, options = {}) {
+    const key = String(articleId);
+    const previous = this.scheduling.get(key) || Promise.resolve();
+
+    const current = previous.catch(() => {}).then(async () => {
+      const [active] = await supabaseService.getPublishSchedules({
+        status: ['pending', 'queued'],
+        articleIds: [articleId],
+        limit: 1
+      });
+
+      if (active) {
+        logger.info('Article already scheduled', { articleId, scheduleId: active.id, status: active.status });
+        return { schedule: active, existing: true };
+      }
+
+      return { schedule: await this.scheduleArticle(articleId, window, options), existing: false };
+    });
+
+    this.scheduling.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.scheduling.get(key) === current) {
+        this.scheduling.delete(key);
+      }
+    }
+  }
+
+  randomTimeInWindow(start, end) {
+    const span = end.getTime() - start.getTime();
+    return new Date(start.getTime() + Math.floor(Math.random() * (span + 1)));
+  }
+
+  /**
+   * Create schedules for articles that have a publish_at set in Supabase
+   * A schedule is created once per article and publish_at value. Pages
+   * through all candidates, so already scheduled articles can't crowd out
+   * newer ones; a publish_at whose window plus SCHEDULE_MISSED_AFTER_MINUTES
+   * has passed could only end up 'missed' and is left out.
+   */
+  async importArticleSchedules() {
+    const since = new Date(Date.now() - (this.defaultWindowMinutes + this.missedAfterMinutes) * 60 * 1000).toISOString();
+    const pageSize = 100;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const articles = await supabaseService.getArticlesDueForScheduling({ since, limit: pageSize, offset });
+
+      if (articles.length > 0) {
+        await this.importArticlePage(articles, since);
+      }
+
+      if (articles.length < pageSize) {
+        return;
+      }
+    }
+  }
+
+  async importArticlePage(articles, since) {
+    // Only schedules that can match a publish_at in this page - older ones would crowd out the limit
+    const existing = await supabaseService.getPublishSchedules({
+      articleIds: articles.map(article => article.id),
+      windowStartFrom: since,
+      limit: 1000
+    });
+
+    for (const article of articles) {
+      const windowStart = new Date(article.publish_at);
+
+      if (isNaN(windowStart.getTime())) {
+        logger.warn('Ignoring invalid publish_at', { articleId: article.id, publishAt: article.publish_at });
+        continue;
+      }
+
+      const alreadyScheduled = existing.some(schedule =>
+        String(schedule.article_id) === String(article.id) &&
+        new Date(schedule.window_start).getTime() === windowStart.getTime()
+      );
+
+      if (alreadyScheduled) {
+        continue;
+      }
+
+      const windowEnd = new Date(windowStart.getTime() + this.defaultWindowMinutes * 60 * 1000);
+
+      await this.scheduleArticle(article.id, { windowStart, windowEnd }, {
+        source: 'publish_at',
+        accountId: article.account_id || null
+      });
+    }
+  }
+
+  // ========================================
+  // DISPATCH
+  // ========================================
+
+  async dispatchDue() {
+    const due = await supabaseService.getPublishSchedules({
+      status: 'pending',
+      dueBefore: new Date().toISOString()
+    });
+
+    for (const schedule of due) {
+      try {
+        await this.dispatch(schedule);
+      } catch (error) {
+        logger.error('Failed to dispatch schedule', { scheduleId: schedule.id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Hand a due schedule to the job queue as a regular publish job
+   */
+  async dispatch(schedule) {
+    const articleId = schedule.article_id;
+    const missedAt = new Date(schedule.window_end).getTime() + this.missedAfterMinutes * 60 * 1000;
+
+    // E.g. the service was down during the whole window
+    if (Date.now() > missedAt) {
+      logger.warn('Publish window missed', { scheduleId: schedule.id, articleId });
+      await this.markSchedule(schedule.id, { status: 'missed' });
+      await supabaseService.logActivity(
+        articleId,
+        'vinted_publish_scheduled',
+        'failed',
+        { scheduleId: schedule.id, windowStart: schedule.window_start, windowEnd: schedule.window_end },
+        'Publish window missed',
+        null,
+        schedule.account_id || null
+      );
+      return;
+    }
+
+    const article = await supabaseService.getArticle(articleId);
+
+    if (!article) {
+      logger.warn('Scheduled article no longer exists', { scheduleId: schedule.id, articleId });
+      await this.markSchedule(schedule.id, {
+        status: 'failed',
+        error: 'Article not found',
+        finished_at: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { session, error } = await accountService.resolveSession({
+      accountId: schedule.account_id,
+      articles: [article]
+    });
+
+    if (error) {
+      // Stays pending, a new session may be uploaded before the window closes
+      logger.warn('Postponing scheduled publish', { scheduleId: schedule.id, reason: error });
+      return;
+    }
+
+    if (publisherService.isPublished(article)) {
+      logger.info('Scheduled article already published, skipping', { scheduleId: schedule.id, articleId });
+      await this.markSchedule(schedule.id, { status: 'skipped', error: 'Article already published' });
+      return;
+    }
+
+    const inFlightJob = publisherService.findInFlightPublish(articleId);
+
+    if (inFlightJob) {
+      logger.info('Scheduled article already being published, skipping', {
+        scheduleId: schedule.id,
+        jobId: inFlightJob.id
+      });
+      await this.markSchedule(schedule.id, { status: 'skipped', job_id: inFlightJob.id, error: 'Publish already in progress' });
+      return;
+    }
+
+    const mode = schedule.mode || 'publish';
+
+    const accountId = session.account_id || null;
+    const handlerFor = (articleRow, sessionRow) => async jobContext => {
+      try {
+        const result = await publisherService.publish(jobContext, articleRow, sessionRow, { mode });
+        await this.markSchedule(schedule.id, { status: 'done', finished_at: new Date().toISOString() });
+        return result;
+      } catch (error) {
+        await this.markSchedule(schedule.id, {
+          status: 'failed',
+          error: error.message,
+          finished_at: new Date().toISOString()
+        });
+        throw error;
+      }
+    };
+
+    const job = jobQueue.enqueue(
+      'publish',
+      { articleId, force: false, dryRun: false, mode, accountId, scheduleId: schedule.id },
+      handlerFor(article, session),
+      { reload: publisherService.reloadFor(articleId, accountId, handlerFor) }
+    );
+
+    await this.markSchedule(schedule.id, { status: 'queued', job_id: job.id });
+
+    logger.info('Scheduled publish queued', {
+      scheduleId: schedule.id,
+      articleId,
+      jobId: job.id,
+      scheduledFor: schedule.scheduled_for
+    });
+  }
+
+  /**
+   * Update a schedule without failing the caller - a publish that went
+   * through must not be reported as failed because of a status write
+   */
+  async markSchedule(scheduleId, updates) {
+    try {
+      await supabaseService.updatePublishSchedule(scheduleId, updates);
+    } catch (error) {
+      logger.error('Failed to update schedule status', { scheduleId, updates, error: error.message });
+    }
+  }
+}
+
+module.exports = new SchedulerService();
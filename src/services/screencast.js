@@ -0,0 +1,124 @@
+const logger = require('../utils/logger');
+
+const BOUNDARY = 'screencastframe';
+
+/**
+ * Live view of the page a job is working on
+ * Flows register their page with attach(job, page); GET /jobs/:id/screencast
+ * streams it as MJPEG using Chrome DevTools Page.startScreencast, so any
+ * <img> tag (or the viewer under /viewer) can watch a running job.
+ */
+class ScreencastService {
+  constructor() {
+    this.quality = parseInt(process.env.SCREENCAST_QUALITY) || 60;
+    this.maxWidth = parseInt(process.env.SCREENCAST_MAX_WIDTH) || 1280;
+    // Streams across all jobs - every viewer costs an encoder in the browser
+    this.maxViewers = parseInt(process.env.SCREENCAST_MAX_VIEWERS) || 5;
+
+    // job ID → current page of that job
+    this.pages = new Map();
+    this.viewers = 0;
+  }
+
+  /**
+   * Make the job's page watchable until it closes or the job attaches another
+   */
+  attach(job, page) {
+    if (!job || !page) {
+      return;
+    }
+
+    this.pages.set(job.id, page);
+
+    page.once('close', () => {
+      if (this.pages.get(job.id) === page) {
+        this.pages.delete(job.id);
+      }
+    });
+  }
+
+  hasPage(jobId) {
+    const page = this.pages.get(jobId);
+    return !!page && !page.isClosed();
+  }
+
+  /**
+   * Stream the job's page to an HTTP response until the client disconnects
+   * or the page closes
+   * @param {object} options - { quality } JPEG 1-100, { maxWidth }, { everyNthFrame }
+   * @returns {Promise<boolean>} false if the job has no live page or too many viewers
+   */
+  async stream(jobId, res, options = {}) {
+    const page = this.pages.get(jobId);
+
+    if (!page || page.isClosed() || this.viewers >= this.maxViewers) {
+      return false;
+    }
+
+    const client = await page.context().newCDPSession(page);
+    this.viewers++;
+
+    let stopped = false;
+    const stop = async () => {
+      if (stopped) {
+        return;
+      }
+      stopped = true;
+      this.viewers--;
+
+      await client.send('Page.stopScreencast').catch(() => {});
+      await client.detach().catch(() => {});
+
+      if (!res.writableEnded) {
+        res.end();
+      }
+
+      logger.info('Screencast stopped', { jobId });
+    };
+
+    res.writeHead(200, {
+      'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+      'Cache-Control': 'no-store',
+      Connection: 'close'
+    });
+
+    client.on('Page.screencastFrame', ({ data, sessionId }) => {
+      if (stopped || res.destroyed) {
+        return;
+      }
+
+      const frame = Buffer.from(data, 'base64');
+      res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+      res.write(frame);
+      res.write('\r\n');
+
+      // Chrome only sends the next frame after the ack
+      client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    });
+
+    res.on('close', stop);
+    page.once('close', stop);
+
+    const maxWidth = parseInt(options.maxWidth) || this.maxWidth;
+
+    try {
+      await client.send('Page.startScreencast', {
+        format: 'jpeg',
+        quality: Math.min(Math.max(parseInt(options.quality) || this.quality, 1), 100),
+        maxWidth,
+        // Contexts use a 16:9 viewport
+        maxHeight: Math.round(maxWidth * 9 / 16),
+        everyNthFrame: parseInt(options.everyNthFrame) || 1
+      });
+    } catch (error) {
+      await stop();
+      throw error;
+    }
+
+    logger.info('Screencast started', { jobId, viewers: this.viewers });
+
+    return true;
+  }
+}
+
+module.exports = new ScreencastService();
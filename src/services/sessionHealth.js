@@ -0,0 +1,178 @@
+const vintedService = require('./vinted');
+const supabaseService = require('./supabase');
+const accountService = require('./accounts');
+const jobQueue = require('./jobQueue');
+const { ERROR_CODES } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Checks stored sessions against Vinted instead of trusting valid_until
+ * A session whose cookies no longer log in is invalidated, a live one gets
+ * its rotated cookies written back and another 7 days of validity.
+ * Runs on demand (GET /session/status?verify=true) and as a periodic sweep.
+ */
+class SessionHealthService {
+  constructor() {
+    // 0 disables the background sweep
+    const interval = parseInt(process.env.SESSION_CHECK_INTERVAL_MS);
+    this.intervalMs = isNaN(interval) ? 6 * 60 * 60 * 1000 : interval;
+
+    this.timer = null;
+    this.lastSweep = null;
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  start() {
+    if (this.timer || this.intervalMs <= 0) {
+      return;
+    }
+
+    logger.info('Starting session health sweep', { intervalMs: this.intervalMs });
+
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ========================================
+  // VERIFICATION
+  // ========================================
+
+  /**
+   * Check one session and update it in Supabase
+   * Browser or network errors, captcha/DataDome pages and pages where the
+   * login state is unclear leave the session untouched - only a redirect to
+   * the login page or a visible login link invalidates it.
+   * @param {object} session - decrypted vinted_sessions row
+   * @param {string} marketplaceCode - marketplace of the session's account
+   * @returns {Promise<object>} { sessionId, status: 'valid' | 'invalid' | 'error', ... }
+   */
+  async verify(session, marketplaceCode = null) {
+    const result = await vintedService
+      .forMarketplace(marketplaceCode)
+      .verifySession(session.cookies, session.user_agent);
+
+    const report = {
+      sessionId: session.id,
+      accountId: session.account_id || null,
+      checkedAt: new Date().toISOString(),
+      duration: result.duration
+    };
+
+    if (!result.success) {
+      logger.warn('Session check inconclusive', { sessionId: session.id, error: result.error });
+      return { ...report, status: 'error', error: result.error, errorCode: result.errorCode };
+    }
+
+    if (!result.loggedIn) {
+      logger.warn('Session no longer logged in, invalidating', { sessionId: session.id });
+      await supabaseService.invalidateSession(session.id, 'logged_out');
+      return { ...report, status: 'invalid', errorCode: ERROR_CODES.SESSION_EXPIRED };
+    }
+
+    const cookiesRefreshed = await this.refreshCookies(session, result.cookies);
+
+    await supabaseService.markSessionVerified(session.id);
+
+    return { ...report, status: 'valid', cookiesRefreshed };
+  }
+
+  /**
+   * Write cookies from a finished browser run back to the session row if
+   * Vinted rotated or added any, so the next run starts with fresh ones
+   * Never throws - a failed write must not fail the run that produced them
+   * @returns {Promise<boolean>} true if the stored cookies were replaced
+   */
+  async refreshCookies(session, cookies) {
+    if (!this.cookiesChanged(session.cookies, cookies)) {
+      return false;
+    }
+
+    try {
+      await supabaseService.updateSessionCookies(session.id, cookies);
+      // Later runs with the same session object (batch) use the new values too
+      session.cookies = cookies;
+      return true;
+    } catch (error) {
+      logger.error('Failed to persist rotated cookies', { sessionId: session.id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * true if Vinted set a cookie the session does not have yet or rotated a value
+   */
+  cookiesChanged(stored, current) {
+    if (!current || current.length === 0) {
+      return false;
+    }
+
+    const known = new Map((stored || []).map(cookie => [`${cookie.domain}|${cookie.name}`, cookie.value]));
+
+    return current.some(cookie => known.get(`${cookie.domain}|${cookie.name}`) !== cookie.value);
+  }
+
+  /**
+   * Verify every valid session, one after the other as a 'session_check' job
+   * so the sweep shares the browser with publish jobs instead of racing them
+   */
+  sweep() {
+    const running = jobQueue.findActive(job => job.type === 'session_check');
+
+    if (running) {
+      logger.info('Session sweep already queued, skipping', { jobId: running.id });
+      return running;
+    }
+
+    return jobQueue.enqueue('session_check', {}, async job => {
+      const sessions = await supabaseService.getValidSessions();
+      const accounts = await supabaseService.listAccounts();
+      const marketplaces = new Map(
+        accounts.map(account => [String(account.id), accountService.getMarketplaceCode(account)])
+      );
+
+      const results = [];
+
+      for (const session of sessions) {
+        job.progress(`session:${session.id}`, 'running');
+
+        const marketplace = session.account_id
+          ? marketplaces.get(String(session.account_id))
+          : null;
+
+        let result;
+        try {
+          result = await this.verify(session, marketplace);
+        } catch (error) {
+          result = { sessionId: session.id, status: 'error', error: error.message };
+        }
+
+        job.progress(`session:${session.id}`, result.status === 'error' ? 'failed' : 'succeeded', result.status);
+        results.push(result);
+      }
+
+      this.lastSweep = {
+        finishedAt: new Date().toISOString(),
+        checked: results.length,
+        valid: results.filter(r => r.status === 'valid').length,
+        invalidated: results.filter(r => r.status === 'invalid').length,
+        errors: results.filter(r => r.status === 'error').length
+      };
+
+      logger.info('Session sweep finished', this.lastSweep);
+
+      return { ...this.lastSweep, results };
+    });
+  }
+}
+
+module.exports = new SessionHealthService();
@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const secrets = require('../utils/crypto');
 const logger = require('../utils/logger');
 
 class SupabaseService {
@@ -15,11 +16,96 @@ class SupabaseService {
     logger.info('Supabase service initialized');
   }
 
+  // ========================================
+  // ACCOUNT MANAGEMENT
+  // ========================================
+
+  /**
+   * Find a Vinted account by ID or email
+   * @returns {Promise<object|null>} vinted_accounts row
+   */
+  async getAccount({ accountId = null, accountEmail = null } = {}) {
+    try {
+      let query = this.supabase
+        .from('vinted_accounts')
+        .select('*');
+
+      query = accountId ? query.eq('id', accountId) : query.eq('email', accountEmail);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) {
+        logger.error('Failed to get account', { accountId, accountEmail, error: error.message });
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getAccount', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Account for this email, created on first login / cookie upload
+   * @param {string|null} marketplace - Country code ('de', 'at', 'fr'), stored on the account when given
+   */
+  async getOrCreateAccount(email, marketplace = null) {
+    try {
+      const existing = await this.getAccount({ accountEmail: email });
+
+      if (existing && (!marketplace || existing.marketplace === marketplace)) {
+        return existing;
+      }
+
+      const query = existing
+        ? this.supabase.from('vinted_accounts').update({ marketplace }).eq('id', existing.id)
+        : this.supabase.from('vinted_accounts').insert({ email, marketplace });
+
+      const { data, error } = await query.select().single();
+
+      if (error) {
+        logger.error('Failed to save account', { email, error: error.message });
+        throw error;
+      }
+
+      logger.info(existing ? 'Account marketplace updated' : 'Account created', {
+        accountId: data.id,
+        email,
+        marketplace: data.marketplace
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getOrCreateAccount', { error: error.message });
+      throw error;
+    }
+  }
+
+  async listAccounts() {
+    try {
+      const { data, error } = await this.supabase
+        .from('vinted_accounts')
+        .select('*')
+        .order('id', { ascending: true });
+
+      if (error) {
+        logger.error('Failed to list accounts', { error: error.message });
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in listAccounts', { error: error.message });
+      throw error;
+    }
+  }
+
   // ========================================
   // SESSION MANAGEMENT
   // ========================================
 
-  async saveSession(email, cookies, userAgent) {
+  async saveSession(email, cookies, userAgent, accountId = null) {
     try {
       const validUntil = new Date();
       validUntil.setDate(validUntil.getDate() + 7); // 7 Tage gültig
@@ -27,8 +113,10 @@ class SupabaseService {
       const { data, error } = await this.supabase
         .from('vinted_sessions')
         .insert({
+          account_id: accountId,
           account_email: email,
-          cookies: cookies,
+          // Encrypted with SESSION_ENCRYPTION_KEYS, decrypted only in getActiveSession
+          cookies: secrets.encrypt(cookies),
           user_agent: userAgent,
           session_valid: true,
           valid_until: validUntil.toISOString(),
@@ -56,20 +144,24 @@ class SupabaseService {
     }
   }
 
-  async getActiveSession() {
+  /**
+   * Most recently used valid session, optionally for one account
+   * @param {object|null} account - vinted_accounts row; null = any account
+   */
+  async getActiveSession(account = null) {
     try {
-      const { data, error } = await this.supabase
-        .from('vinted_sessions')
-        .select('*')
-        .eq('session_valid', true)
-        .gt('valid_until', new Date().toISOString())
-        .order('last_used', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
-        logger.error('Failed to get active session', { error: error.message });
-        throw error;
+      let data;
+
+      if (account) {
+        // Sessions saved before accounts existed only carry the email.
+        // Two queries instead of an .or() string, so the email can't add filter terms
+        const byId = await this.findLatestValidSession(query => query.eq('account_id', account.id));
+        const byEmail = await this.findLatestValidSession(query => query.is('account_id', null).eq('account_email', account.email));
+        data = [byId, byEmail]
+          .filter(Boolean)
+          .sort((a, b) => new Date(b.last_used || 0) - new Date(a.last_used || 0))[0] || null;
+      } else {
+        data = await this.findLatestValidSession(query => query);
       }
 
       if (!data) {
@@ -79,17 +171,184 @@ class SupabaseService {
 
       logger.info('Active session found', { 
         sessionId: data.id,
+        accountId: data.account_id,
         email: data.account_email,
         lastUsed: data.last_used
       });
 
-      return data;
+      return this.decryptSession(data);
     } catch (error) {
       logger.error('Error in getActiveSession', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Most recently used valid session row matching the filter, null if none
+   * @param {function} filter - query => query with additional conditions
+   */
+  async findLatestValidSession(filter) {
+    const { data, error } = await filter(this.supabase
+      .from('vinted_sessions')
+      .select('*')
+      .eq('session_valid', true)
+      .gt('valid_until', new Date().toISOString()))
+      .order('last_used', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to get active session', { error: error.message });
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Session row with plaintext cookies
+   * Rows still in plaintext or under a rotated-out key are re-encrypted on the way
+   */
+  decryptSession(row) {
+    const cookies = secrets.decrypt(row.cookies);
+
+    if (secrets.needsReencryption(row.cookies)) {
+      this.supabase
+        .from('vinted_sessions')
+        .update({ cookies: secrets.encrypt(cookies) })
+        .eq('id', row.id)
+        .then(({ error }) => {
+          if (error) {
+            logger.warn('Failed to re-encrypt session cookies', { sessionId: row.id, error: error.message });
+          } else {
+            logger.info('Session cookies re-encrypted', { sessionId: row.id });
+          }
+        });
+    }
+
+    return { ...row, cookies };
+  }
+
+  /**
+   * Re-encrypt all stored sessions with the current key
+   * Run after adding a new key in front of SESSION_ENCRYPTION_KEYS, then the
+   * old key can be removed
+   * @returns {Promise<object>} { checked, reencrypted, failed }
+   */
+  async reencryptSessions() {
+    if (!secrets.isEnabled()) {
+      throw new Error('SESSION_ENCRYPTION_KEYS is not set');
+    }
+
+    const { data, error } = await this.supabase
+      .from('vinted_sessions')
+      .select('id, cookies');
+
+    if (error) {
+      logger.error('Failed to load sessions for re-encryption', { error: error.message });
+      throw error;
+    }
+
+    const summary = { checked: data.length, reencrypted: 0, failed: 0 };
+
+    for (const row of data) {
+      if (!secrets.needsReencryption(row.cookies)) {
+        continue;
+      }
+
+      try {
+        const { error: updateError } = await this.supabase
+          .from('vinted_sessions')
+          .update({ cookies: secrets.encrypt(secrets.decrypt(row.cookies)) })
+          .eq('id', row.id);
+
+        if (updateError) {
+          throw updateError;
+        }
+
+        summary.reencrypted++;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Failed to re-encrypt session', { sessionId: row.id, error: error.message });
+      }
+    }
+
+    logger.info('Session re-encryption finished', summary);
+    return summary;
+  }
+
+  /**
+   * All valid, unexpired sessions with plaintext cookies
+   */
+  async getValidSessions() {
+    try {
+      const { data, error } = await this.supabase
+        .from('vinted_sessions')
+        .select('*')
+        .eq('session_valid', true)
+        .gt('valid_until', new Date().toISOString())
+        .order('last_used', { ascending: false });
+
+      if (error) {
+        logger.error('Failed to get valid sessions', { error: error.message });
+        throw error;
+      }
+
+      return data.map(row => this.decryptSession(row));
+    } catch (error) {
+      logger.error('Error in getValidSessions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the stored cookies, e.g. with values Vinted rotated during a run
+   */
+  async updateSessionCookies(sessionId, cookies) {
+    try {
+      const { error } = await this.supabase
+        .from('vinted_sessions')
+        .update({ cookies: secrets.encrypt(cookies) })
+        .eq('id', sessionId);
+
+      if (error) {
+        logger.error('Failed to update session cookies', { sessionId, error: error.message });
+        throw error;
+      }
+
+      logger.info('Session cookies updated', { sessionId, cookieCount: cookies.length });
+    } catch (error) {
+      logger.error('Error in updateSessionCookies', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful login check - a live session stays valid another 7 days
+   */
+  async markSessionVerified(sessionId) {
+    try {
+      const validUntil = new Date();
+      validUntil.setDate(validUntil.getDate() + 7);
+
+      const { error } = await this.supabase
+        .from('vinted_sessions')
+        .update({
+          last_verified_at: new Date().toISOString(),
+          valid_until: validUntil.toISOString()
+        })
+        .eq('id', sessionId);
+
+      if (error) {
+        logger.error('Failed to mark session verified', { sessionId, error: error.message });
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error in markSessionVerified', { error: error.message });
+      throw error;
+    }
+  }
+
   async updateSessionLastUsed(sessionId) {
     try {
       const { error } = await this.supabase
@@ -111,11 +370,16 @@ class SupabaseService {
     }
   }
 
-  async invalidateSession(sessionId) {
+  async invalidateSession(sessionId, reason = null) {
     try {
+      const update = { session_valid: false };
+      if (reason) {
+        update.invalidated_reason = reason;
+      }
+
       const { error } = await this.supabase
         .from('vinted_sessions')
-        .update({ session_valid: false })
+        .update(update)
         .eq('id', sessionId);
 
       if (error) {
@@ -123,7 +387,7 @@ class SupabaseService {
         throw error;
       }
 
-      logger.info('Session invalidated', { sessionId });
+      logger.info('Session invalidated', { sessionId, reason });
     } catch (error) {
       logger.error('Error in invalidateSession', { error: error.message });
       throw error;
@@ -134,13 +398,16 @@ class SupabaseService {
   // ARTICLE MANAGEMENT
   // ========================================
 
+  /**
+   * @returns {Promise<object|null>} Article row, null if it does not exist (any more)
+   */
   async getArticle(articleId) {
     try {
       const { data, error } = await this.supabase
         .from('articles')
         .select('*')
         .eq('id', articleId)
-        .single();
+        .maybeSingle();
 
       if (error) {
         logger.error('Failed to get article', { 
@@ -150,6 +417,11 @@ class SupabaseService {
         throw error;
       }
 
+      if (!data) {
+        logger.warn('Article not found', { articleId });
+        return null;
+      }
+
       logger.info('Article retrieved', { articleId, title: data.title });
       return data;
     } catch (error) {
@@ -158,11 +430,49 @@ class SupabaseService {
     }
   }
 
-  async updateArticleVintedInfo(articleId, vintedUrl, vintedId) {
+  /**
+   * Load several articles by ID list or by column filter
+   * @param {object} query - { ids } article IDs (keeps their order) or
+   *   { filter } equality filter, e.g. { status: 'ready' }; { limit }
+   */
+  async getArticles({ ids = null, filter = null, limit = 50 } = {}) {
+    try {
+      let query = this.supabase
+        .from('articles')
+        .select('*');
+
+      if (ids) {
+        query = query.in('id', ids);
+      } else {
+        query = query.match(filter || {}).order('created_at', { ascending: true });
+      }
+
+      const { data, error } = await query.limit(limit);
+
+      if (error) {
+        logger.error('Failed to get articles', { error: error.message });
+        throw error;
+      }
+
+      if (ids) {
+        const byId = new Map(data.map(article => [String(article.id), article]));
+        return ids.map(id => byId.get(String(id))).filter(Boolean);
+      }
+
+      logger.info('Articles retrieved', { count: data.length });
+      return data;
+    } catch (error) {
+      logger.error('Error in getArticles', { error: error.message });
+      throw error;
+    }
+  }
+
+  async updateArticleVintedInfo(articleId, vintedUrl, vintedId, extra = {}) {
     try {
       const { data, error } = await this.supabase
         .from('articles')
         .update({
+          ...extra,
           vinted_url: vintedUrl,
           vinted_id: vintedId,
           status: 'published',
@@ -194,16 +504,251 @@ class SupabaseService {
     }
   }
 
+  async updateArticleDraftInfo(articleId, draftUrl, draftId, extra = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from('articles')
+        .update({
+          ...extra,
+          vinted_url: draftUrl,
+          vinted_id: draftId,
+          status: 'draft_on_vinted',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', articleId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to update article draft info', { 
+          articleId,
+          error: error.message 
+        });
+        throw error;
+      }
+
+      logger.info('Article updated with Vinted draft info', { 
+        articleId,
+        draftUrl,
+        draftId
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Error in updateArticleDraftInfo', { error: error.message });
+      throw error;
+    }
+  }
+
+  async updateArticleStatus(articleId, status, extra = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from('articles')
+        .update({
+          status,
+          ...extra,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', articleId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to update article status', { 
+          articleId,
+          error: error.message 
+        });
+        throw error;
+      }
+
+      logger.info('Article status updated', { articleId, status });
+      return data;
+    } catch (error) {
+      logger.error('Error in updateArticleStatus', { error: error.message });
+      throw error;
+    }
+  }
+
+  // ========================================
+  // PUBLISH SCHEDULES
+  // ========================================
+
+  async createPublishSchedule(schedule) {
+    try {
+      const { data, error } = await this.supabase
+        .from('publish_schedules')
+        .insert({
+          article_id: schedule.articleId,
+          account_id: schedule.accountId || null,
+          window_start: schedule.windowStart,
+          window_end: schedule.windowEnd,
+          scheduled_for: schedule.scheduledFor,
+          mode: schedule.mode || 'publish',
+          source: schedule.source || 'api',
+          status: 'pending',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to create publish schedule', {
+          articleId: schedule.articleId,
+          error: error.message
+        });
+        throw error;
+      }
+
+      logger.info('Publish schedule created', {
+        scheduleId: data.id,
+        articleId: schedule.articleId,
+        scheduledFor: schedule.scheduledFor
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Error in createPublishSchedule', { error: error.message });
+      throw error;
+    }
+  }
+
+  async getPublishSchedule(scheduleId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('publish_schedules')
+        .select('*')
+        .eq('id', scheduleId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Failed to get publish schedule', { scheduleId, error: error.message });
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getPublishSchedule', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {object} query - { status } single status or array,
+   *   { dueBefore } only schedules due at or before this ISO time,
+   *   { articleIds } only schedules for these articles,
+   *   { windowStartFrom } only windows starting at or after this ISO time
+   */
+  async getPublishSchedules({ status = null, dueBefore = null, articleIds = null, windowStartFrom = null, limit = 100 } = {}) {
+    try {
+      let query = this.supabase
+        .from('publish_schedules')
+        .select('*');
+
+      if (status) {
+        query = Array.isArray(status) ? query.in('status', status) : query.eq('status', status);
+      }
+
+      if (dueBefore) {
+        query = query.lte('scheduled_for', dueBefore);
+      }
+
+      if (articleIds) {
+        query = query.in('article_id', articleIds);
+      }
+
+      if (windowStartFrom) {
+        query = query.gte('window_start', windowStartFrom);
+      }
+
+      const { data, error } = await query
+        .order('scheduled_for', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        logger.error('Failed to get publish schedules', { error: error.message });
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getPublishSchedules', { error: error.message });
+      throw error;
+    }
+  }
+
+  async updatePublishSchedule(scheduleId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('publish_schedules')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', scheduleId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to update publish schedule', {
+          scheduleId,
+          error: error.message
+        });
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in updatePublishSchedule', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Articles with a publish_at that are not on Vinted yet, oldest publish_at first
+   * @param {object} options - { since } ISO time, leave out older publish_at values,
+   *   { limit, offset } page
+   */
+  async getArticlesDueForScheduling({ since, limit = 100, offset = 0 } = {}) {
+    try {
+      let query = this.supabase
+        .from('articles')
+        .select('*')
+        .not('publish_at', 'is', null)
+        .not('status', 'in', '(published,published_unverified,draft_on_vinted,sold,deleted)');
+
+      if (since) {
+        query = query.gte('publish_at', since);
+      }
+
+      const { data, error } = await query
+        .order('publish_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        logger.error('Failed to get articles with publish_at', { error: error.message });
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getArticlesDueForScheduling', { error: error.message });
+      throw error;
+    }
+  }
+
   // ========================================
   // ACTIVITY LOG
   // ========================================
 
-  async logActivity(articleId, action, status, details = {}, errorMessage = null, duration = null) {
+  async logActivity(articleId, action, status, details = {}, errorMessage = null, duration = null, accountId = null) {
     try {
       const { error } = await this.supabase
         .from('activity_log')
         .insert({
           article_id: articleId,
+          account_id: accountId,
           action: action,
           status: status,
           details: details,
@@ -223,6 +768,39 @@ class SupabaseService {
       // Don't throw
     }
   }
+
+  /**
+   * Add artifact references to the activity_log rows of a job, for artifacts
+   * saved after the row was written (a failed publish parked for resume)
+   */
+  async addActivityArtifacts(jobId, artifacts) {
+    try {
+      const { data, error } = await this.supabase
+        .from('activity_log')
+        .select('id, details')
+        .eq('details->>jobId', jobId);
+
+      if (error) {
+        throw error;
+      }
+
+      for (const row of data) {
+        const details = { ...row.details, artifacts: [...(row.details.artifacts || []), ...artifacts] };
+
+        const { error: updateError } = await this.supabase
+          .from('activity_log')
+          .update({ details })
+          .eq('id', row.id);
+
+        if (updateError) {
+          throw updateError;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to add artifacts to activity log', { jobId, error: error.message });
+      // Don't throw
+    }
+  }
 }
 
 module.exports = new SupabaseService();
@@ -1,29 +1,169 @@
 const playwrightService = require('./playwright');
 const formFieldSelector = require('./formFieldSelector');
+const handoffService = require('./handoff');
+const screencastService = require('./screencast');
+const resumableRuns = require('./resumableRuns');
+const { getMarketplace, textSelectors, CONDITION_ALIASES } = require('../utils/marketplaces');
+const { ERROR_CODES, VintedError, classifyError } = require('../utils/errors');
+const { withRetry } = require('../utils/retry');
 const logger = require('../utils/logger');
 
+// forMarketplace() instances by country code
+const instances = new Map();
+
+/**
+ * Playwright flows against one Vinted marketplace (vinted.de, .at, .fr)
+ * The exported instance uses VINTED_MARKETPLACE, forMarketplace() the others
+ */
 class VintedService {
-  constructor() {
-    this.baseUrl = 'https://www.vinted.de';
+  constructor(marketplace = getMarketplace()) {
+    this.marketplace = marketplace;
+    this.baseUrl = marketplace.baseUrl;
+
+    const text = marketplace.strings;
+
+    this.submitButtonSelectors = [
+      'button[type="submit"]',
+      'button[data-testid="item-upload-form-button"]',
+      'button[data-testid="submit-button"]',
+      'button.Button--primary',
+      ...textSelectors('button', text.upload)
+    ];
+
+    this.saveButtonSelectors = [
+      'button[data-testid="item-upload-form-button"]',
+      'button[type="submit"]',
+      ...textSelectors('button', text.save)
+    ];
+
+    // Owner actions on the item page (/items/:id)
+    // confirm = buttons of the confirmation dialog, if Vinted shows one
+    // verify = what the reloaded item page shows once the action took effect
+    const hideButtons = [
+      'button[data-testid="item-hide-button"]',
+      ...textSelectors('button', text.hide)
+    ];
+    const unhideButtons = [
+      'button[data-testid="item-unhide-button"]',
+      ...textSelectors('button', text.unhide)
+    ];
+
+    this.listingActions = {
+      delete: {
+        buttons: [
+          'button[data-testid="item-delete-button"]',
+          ...textSelectors('button', text.delete)
+        ],
+        confirm: [
+          '[role="dialog"] button[data-testid*="confirm"]',
+          ...textSelectors('[role="dialog"] button', [...text.delete, ...text.confirm])
+        ]
+      },
+      hide: {
+        buttons: hideButtons,
+        confirm: textSelectors('[role="dialog"] button', text.hide),
+        verify: unhideButtons
+      },
+      unhide: {
+        buttons: unhideButtons,
+        confirm: [],
+        verify: hideButtons
+      },
+      reserve: {
+        buttons: [
+          'button[data-testid="item-reserve-button"]',
+          ...textSelectors('button', text.reserve)
+        ],
+        confirm: textSelectors('[role="dialog"] button', [...text.reserve, ...text.confirm]),
+        verify: [
+          'button[data-testid="item-unreserve-button"]',
+          ...textSelectors('button', text.unreserve),
+          ...textSelectors('[data-testid*="status"]', text.reservedState)
+        ]
+      },
+      sold: {
+        buttons: [
+          'button[data-testid="item-mark-as-sold-button"]',
+          ...textSelectors('button', text.sold)
+        ],
+        confirm: textSelectors('[role="dialog"] button', [...text.sold, ...text.confirm]),
+        verify: [
+          ...textSelectors('[data-testid*="status"]', text.soldState),
+          ...textSelectors('[class*="badge" i]', text.soldState)
+        ]
+      }
+    };
+
+    this.draftButtonSelectors = [
+      'button[data-testid="upload-form-save-draft-button"]',
+      'button[data-testid="item-upload-form-draft-button"]',
+      ...textSelectors('button', text.saveDraft)
+    ];
+
+    // Header of a logged-out visitor (signup / login links instead of the user menu)
+    this.loggedOutSelectors = [
+      '[data-testid="header--login-button"]',
+      'a[href*="/member/signup"]',
+      'a[href*="/member/login"]',
+      ...textSelectors('header a', text.login),
+      ...textSelectors('header button', text.login)
+    ];
+  }
+
+  /**
+   * Service instance for another marketplace, cached per country code
+   * @param {string} code - 'de', 'at', 'fr'; empty = this instance's default
+   */
+  forMarketplace(code) {
+    if (!code || code === this.marketplace.code) {
+      return this;
+    }
+
+    if (!instances.has(code)) {
+      instances.set(code, new VintedService(getMarketplace(code)));
+    }
+
+    return instances.get(code);
+  }
+
+  /**
+   * Options for formFieldSelector.selectField in the marketplace's language
+   */
+  fieldOptions(fieldType) {
+    return { labels: this.marketplace.fieldLabels[fieldType] || [] };
   }
 
-  async login(email, password) {
+  /**
+   * Log in with email and password
+   * Captchas and verification screens are handed to an operator (see handoff.js)
+   * @param {object} options - { job } job context for progress and handoff,
+   *   { trace } record a Playwright trace and keep it even if the login succeeds,
+   *   { har } record a HAR of the network traffic, kept under the same rules
+   */
+  async login(email, password, options = {}) {
     const startTime = Date.now();
+    const { job = null } = options;
+    const traceMode = playwrightService.resolveTraceMode(options.trace);
+    const harMode = playwrightService.resolveHarMode(options.har);
     let page = null;
 
     try {
       logger.info('Starting Vinted login', { email });
 
-      page = await playwrightService.createPage();
+      page = await playwrightService.createPage(null, {
+        marketplace: this.marketplace,
+        trace: traceMode !== 'off',
+        har: harMode !== 'off'
+      });
+      screencastService.attach(job, page);
 
+      this.reportProgress(job, 'open_homepage');
       logger.info('Navigating to Vinted homepage...');
-      await page.goto(this.baseUrl, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+      await playwrightService.navigate(page, this.baseUrl);
 
       await playwrightService.randomDelay(2000, 3000);
 
+      await this.resolveChallenge(page, job, 'homepage');
       await this.handleCookieBanner(page);
 
       logger.info('Clicking login button in header...');
@@ -58,7 +198,7 @@ class VintedService {
       // Try with text if selectors didn't work
       if (!loginButtonClicked) {
         try {
-          await page.getByText('Einloggen', { exact: false }).first().click();
+          await page.getByText(this.marketplace.strings.login[0], { exact: false }).first().click();
           logger.info('Clicked login button by text');
           loginButtonClicked = true;
           await playwrightService.randomDelay(1500, 2500);
@@ -68,486 +208,1648 @@ class VintedService {
       }
 
       if (!loginButtonClicked) {
-        throw new Error('Could not find login button in header');
+        throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, 'Could not find login button in header');
+      }
+
+      await playwrightService.randomDelay(2000, 3000);
+
+      // const screenshotBefore = await playwrightService.takeScreenshot(page);
+
+      this.reportProgress(job, 'fill_form');
+      logger.info('Filling login form...');
+
+      const emailSelector = 'input#username, input[name="username"]';
+      const passwordSelector = 'input#password, input[name="password"]';
+      const submitSelector = 'button[type="submit"]';
+
+      // Typed credentials and the login request must not end up in the trace
+      await playwrightService.pauseTrace(page);
+
+      const emailSuccess = await playwrightService.humanType(page, emailSelector, email);
+      if (!emailSuccess) {
+        throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, 'Failed to enter email');
+      }
+
+      await playwrightService.randomDelay(500, 1000);
+
+      const passwordSuccess = await playwrightService.humanType(page, passwordSelector, password);
+      if (!passwordSuccess) {
+        throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, 'Failed to enter password');
+      }
+
+      await playwrightService.randomDelay(1000, 2000);
+
+      this.reportProgress(job, 'submit');
+      logger.info('Submitting login form...');
+      
+      // Click submit and wait for navigation
+      await page.locator(submitSelector).click();
+      
+      // Wait for navigation with timeout
+      try {
+        await page.waitForLoadState('networkidle', { timeout: 15000 });
+      } catch (e) {
+        logger.warn('Navigation timeout after login submit - might be OK');
+      }
+
+      await playwrightService.randomDelay(3000, 5000);
+      await this.resumeTraceAfterLogin(page, passwordSelector);
+
+      // Captcha or email/SMS code after submitting the credentials
+      this.reportProgress(job, 'verify');
+      if (await this.resolveChallenge(page, job, 'login')) {
+        try {
+          await page.waitForLoadState('networkidle', { timeout: 15000 });
+        } catch (e) {
+          logger.warn('Navigation timeout after handoff - might be OK');
+        }
+        await this.resumeTraceAfterLogin(page, passwordSelector);
+      }
+
+      // const screenshotAfter = await playwrightService.takeScreenshot(page);
+
+      const currentUrl = page.url();
+      logger.info('Current URL after login', { url: currentUrl });
+
+      if (currentUrl.includes('/member/login')) {
+        throw new VintedError(ERROR_CODES.VALIDATION, 'Login failed - still on login page. Check credentials.');
+      }
+
+      const cookies = await playwrightService.getCookies(page);
+
+      if (cookies.length < 3) {
+        throw new Error('Login might have failed - not enough cookies received');
+      }
+
+      const userAgent = await page.evaluate(() => navigator.userAgent);
+
+      const duration = Date.now() - startTime;
+      logger.info('Login successful', {
+        duration,
+        cookieCount: cookies.length,
+        finalUrl: currentUrl
+      });
+
+      const trace = await this.finishTrace(page, job, traceMode, false);
+      const har = await this.finishHar(page, job, harMode, false);
+      await playwrightService.closeContext(page);
+
+      return {
+        success: true,
+        cookies: cookies,
+        userAgent: userAgent,
+        duration: duration,
+        screenshots: {
+          before: null,
+          after: null
+        },
+        finalUrl: currentUrl,
+        trace,
+        har
+      };
+
+    } catch (error) {
+      logger.error('Login failed', {
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+
+      const evidence = await this.captureFailure(page, job);
+      const trace = await this.finishTrace(page, job, traceMode, true);
+      const har = await this.finishHar(page, job, harMode, true);
+      await playwrightService.closeContext(page);
+
+      return {
+        success: false,
+        error: error.message,
+        errorCode: classifyError(error).code,
+        duration: Date.now() - startTime,
+        errorScreenshot: evidence.screenshot,
+        html: evidence.html,
+        trace,
+        har
+      };
+    }
+  }
+
+  /**
+   * Publish an article to Vinted
+   * Runs the steps of publishSteps() one after another; every step ends up in
+   * the `steps` report with status, duration, strategy and warning/error
+   * @param {object} article - Article row from Supabase
+   * @param {array} cookies - Session cookies
+   * @param {string} userAgent - Session user agent
+   * @param {object} options - { job } job context for progress reporting,
+   *   { dryRun } fill the whole form but stop before submitting,
+   *   { mode: 'draft' } click "Entwurf speichern" instead of submitting,
+   *   { page } reuse a page from openSession() instead of opening a new one,
+   *   { trace } record a Playwright trace and keep it even if the run succeeds,
+   *   { har } record a HAR of the network traffic, kept under the same rules,
+   *   { resume } parked run of a failed job (resumableRuns.take) to continue
+   *   from its failed step instead of starting over,
+   *   { onRelease } async ({ trace, har }) => void, called when a run parked
+   *   after this failure is released with its artifacts saved
+   */
+  async publishArticle(article, cookies, userAgent, options = {}) {
+    const startTime = Date.now();
+    const { job, dryRun = false, mode = 'publish' } = options;
+    // A page passed in (batch publish) is already logged in and stays open
+    const ownPage = !options.page;
+    const steps = this.publishSteps(dryRun ? 'dry_run' : mode);
+
+    // State shared by the steps - a resumed run brings its page, report and
+    // the trace/HAR modes its context was created with
+    const run = options.resume || {
+      article,
+      cookies,
+      job,
+      ownPage,
+      page: options.page || null,
+      // Tracing and HAR need their own context, a shared batch page is never recorded
+      traceMode: ownPage ? playwrightService.resolveTraceMode(options.trace) : 'off',
+      harMode: ownPage ? playwrightService.resolveHarMode(options.har) : 'off',
+      // What was entered into each field - returned as the dry-run report
+      fields: [],
+      // One entry per step - see runStep()
+      steps: [],
+      // Set by the submit/verify/save_draft steps
+      itemResponse: null,
+      outcome: null,
+      failedStep: null,
+      // Submit / save-draft button clicked - the listing may exist from here on
+      submitted: false,
+      // Resumed after the click: verify looks in the wardrobe instead of failing on the form
+      resumedAfterSubmit: false
+    };
+    const { traceMode, harMode } = run;
+    let firstStep = 0;
+
+    try {
+      logger.info('Starting Vinted publish', {
+        articleId: article.id,
+        title: article.title
+      });
+
+      if (options.resume) {
+        firstStep = this.prepareResume(run, steps, { job, article, cookies });
+      } else if (ownPage) {
+        run.page = await playwrightService.createPage(userAgent, {
+          marketplace: this.marketplace,
+          trace: traceMode !== 'off',
+          har: harMode !== 'off'
+        });
+      }
+
+      const page = run.page;
+
+      for (const step of steps.slice(firstStep)) {
+        await this.runStep(run, step);
+      }
+
+      // A shared page (batch) is captured by its owner when it is closed
+      let sessionCookies = null;
+      let trace = null;
+      let har = null;
+      let formScreenshot = null;
+      const formUrl = page.url();
+
+      if (dryRun) {
+        this.reportProgress(job, 'dry_run_report');
+        logger.info('Dry run - stopping before submit', { fields: run.fields.length });
+
+        formScreenshot = await playwrightService.captureScreenshot(page, {
+          jobId: job ? job.id : null,
+          name: 'dry-run-form.png',
+          fullPage: true
+        });
+      }
+
+      const duration = Date.now() - startTime;
+
+      if (ownPage) {
+        sessionCookies = await this.captureCookies(page);
+        trace = await this.finishTrace(page, job, traceMode, false);
+        har = await this.finishHar(page, job, harMode, false);
+        await playwrightService.closeContext(page);
+      }
+
+      const report = {
+        fields: run.fields,
+        steps: run.steps,
+        duration,
+        cookies: sessionCookies,
+        trace,
+        har
+      };
+
+      if (dryRun) {
+        return {
+          success: true,
+          dryRun: true,
+          formUrl,
+          screenshot: formScreenshot,
+          ...report
+        };
+      }
+
+      if (mode === 'draft') {
+        logger.info('Draft saved successfully', { duration, ...run.outcome });
+
+        return {
+          success: true,
+          mode: 'draft',
+          ...run.outcome,
+          screenshot: null,
+          ...report
+        };
+      }
+
+      logger.info('Publish completed successfully', {
+        duration,
+        finalUrl: run.outcome.finalUrl,
+        vintedId: run.outcome.vintedId,
+        verified: run.outcome.verified
+      });
+
+      return {
+        success: true,
+        ...run.outcome,
+        screenshot: null,
+        ...report
+      };
+
+    } catch (error) {
+      logger.error('Publish failed', {
+        error: error.message,
+        step: error.step || null,
+        duration: Date.now() - startTime
+      });
+
+      const evidence = await this.captureFailure(run.page, job);
+      let trace = null;
+      let har = null;
+      let resumableUntil = null;
+      run.failedStep = error.step || null;
+
+      if (ownPage && job && resumableRuns.enabled && !run.page.isClosed() && this.isResumable(run, steps, dryRun)) {
+        // Trace and HAR are saved when the parked run is released
+        resumableUntil = resumableRuns.park(job.id, run, async () => {
+          const artifacts = await this.releaseParkedRun(run, job);
+          if (options.onRelease) {
+            await options.onRelease(artifacts);
+          }
+        });
+      } else if (ownPage) {
+        trace = await this.finishTrace(run.page, job, traceMode, true);
+        har = await this.finishHar(run.page, job, harMode, true);
+        await playwrightService.closeContext(run.page);
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        errorCode: classifyError(error).code,
+        failedStep: run.failedStep,
+        resumableUntil,
+        dryRun,
+        fields: run.fields,
+        steps: run.steps,
+        duration: Date.now() - startTime,
+        screenshot: evidence.screenshot,
+        html: evidence.html,
+        trace,
+        har
+      };
+    }
+  }
+
+  // ========================================
+  // PUBLISH STEPS
+  // ========================================
+
+  /**
+   * Steps of publishArticle in the order of Vinted's upload form
+   * required: a thrown error aborts the publish,
+   * otherwise it is recorded as a warning and the form is filled on
+   * skip(run): reason to leave the step out (e.g. no brand on the article)
+   * @param {string} mode - 'publish' | 'draft' | 'dry_run' (stops after the form)
+   */
+  publishSteps(mode = 'publish') {
+    const steps = [
+      { name: 'navigate', required: true, run: run => this.stepNavigate(run) },
+      { name: 'verify_login', required: true, run: run => this.stepVerifyLogin(run) },
+      { name: 'photos', required: false, run: run => this.stepPhotos(run) },
+      { name: 'title', required: true, run: run => this.stepTextField(run, 'title') },
+      { name: 'description', required: true, run: run => this.stepTextField(run, 'description') },
+      {
+        name: 'price',
+        required: false,
+        skip: run => (run.article.price_recommended ? null : 'No price on article'),
+        run: run => this.stepTextField(run, 'price')
+      },
+      {
+        name: 'category',
+        required: true,
+        skip: run => (this.articleValue(run.article, 'category') ? null : 'No category on article'),
+        run: run => this.stepCategory(run)
+      },
+      ...['brand', 'size', 'condition', 'color'].map(field => ({
+        name: field,
+        required: false,
+        skip: run => (this.articleValue(run.article, field) ? null : `No ${field} on article`),
+        run: run => this.stepSelectField(run, field)
+      }))
+    ];
+
+    if (mode === 'draft') {
+      steps.push({ name: 'save_draft', required: true, run: run => this.stepSaveDraft(run) });
+    } else if (mode !== 'dry_run') {
+      steps.push(
+        { name: 'submit', required: true, run: run => this.stepSubmit(run) },
+        { name: 'verify', required: true, run: run => this.stepVerify(run) }
+      );
+    }
+
+    return steps;
+  }
+
+  /**
+   * Run one step and append its report entry to run.steps:
+   * { name, status: succeeded | warning | skipped | failed, duration, strategy, warning, error, errorCode }
+   * A step returns { strategy, warning } - a warning marks it as 'warning';
+   * skipped steps carry the reason as warning
+   * @throws {Error} The step's error (with error.step) if a required step fails
+   */
+  async runStep(run, step) {
+    const startedAt = Date.now();
+    const entry = { name: step.name, status: 'succeeded', duration: 0, strategy: null, warning: null, error: null, errorCode: null };
+    run.steps.push(entry);
+
+    const skipReason = step.skip ? step.skip(run) : null;
+
+    if (skipReason) {
+      entry.status = 'skipped';
+      entry.warning = skipReason;
+      return entry;
+    }
+
+    this.reportProgress(run.job, step.name);
+
+    try {
+      const outcome = (await step.run(run)) || {};
+      entry.strategy = outcome.strategy || null;
+
+      if (outcome.warning) {
+        entry.status = 'warning';
+        entry.warning = outcome.warning;
+      }
+    } catch (error) {
+      entry.duration = Date.now() - startedAt;
+      entry.errorCode = classifyError(error).code;
+
+      if (step.required) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        this.reportProgress(run.job, step.name, 'failed', error.message);
+        error.step = step.name;
+        throw error;
+      }
+
+      entry.status = 'warning';
+      entry.warning = error.message;
+    }
+
+    entry.duration = Date.now() - startedAt;
+
+    if (entry.status === 'warning') {
+      logger.warn(`Publish step ${step.name} finished with a warning`, { warning: entry.warning });
+      this.reportProgress(run.job, step.name, 'warning', entry.warning);
+    } else {
+      logger.info(`✓ Publish step ${step.name}`, { duration: entry.duration, strategy: entry.strategy });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Whether a failed run is worth parking for a resume
+   * Not for dry runs, not before the form is open (navigate / verify_login -
+   * a fresh retry with current cookies does that better), and not for a draft
+   * whose save button was already clicked (it can't be verified)
+   */
+  isResumable(run, steps, dryRun) {
+    const failedIndex = steps.findIndex(step => step.name === run.failedStep);
+
+    if (dryRun || failedIndex <= steps.findIndex(step => step.name === 'verify_login')) {
+      return false;
+    }
+
+    return !(run.failedStep === 'save_draft' && run.submitted);
+  }
+
+  /**
+   * Take over a parked run for the retry job
+   * Drops the failed step from the report and continues with it, using the
+   * retry's article and cookies - steps before the failed one keep what they
+   * entered. If the upload form is gone (a step navigated away), starts over
+   * from 'navigate' in the same context. A submit that failed after its click
+   * (e.g. aborted captcha) continues with 'verify' - clicking again could list
+   * the article twice.
+   * @param {object} retry - { job, article, cookies } of the retry job
+   * @returns {number} Index of the first step to run
+   */
+  prepareResume(run, steps, { job, article, cookies }) {
+    run.job = job;
+    run.article = article;
+    run.cookies = cookies;
+    screencastService.attach(job, run.page);
+
+    // Only submit and verify can fail after the click (drafts aren't parked then)
+    run.resumedAfterSubmit = run.submitted;
+
+    if (run.failedStep === 'submit' && run.submitted) {
+      this.reportProgress(job, 'resume', 'running', 'submit was already clicked, verifying');
+      run.steps = run.steps.filter(entry => entry.name !== 'submit');
+      return steps.findIndex(step => step.name === 'verify');
+    }
+
+    const failedIndex = steps.findIndex(step => step.name === run.failedStep);
+    const formSteps = failedIndex > steps.findIndex(step => step.name === 'verify_login');
+    const formGone = formSteps && run.failedStep !== 'verify' && !run.page.url().includes('/items/new');
+
+    if (failedIndex === -1 || formGone) {
+      this.reportProgress(job, 'resume', 'running', 'upload form gone, starting over');
+      run.steps = [];
+      run.fields = [];
+      return 0;
+    }
+
+    this.reportProgress(job, 'resume', 'running', `from ${run.failedStep}`);
+    run.steps = run.steps.filter(entry => entry.name !== run.failedStep);
+    run.fields = run.fields.filter(entry => entry.field !== run.failedStep);
+    return failedIndex;
+  }
+
+  /**
+   * Close a parked run nobody resumed, keeping its trace/HAR as failure artifacts
+   * @returns {Promise<object>} { trace, har } artifact references or null
+   */
+  async releaseParkedRun(run, job) {
+    const trace = await this.finishTrace(run.page, job, run.traceMode, true);
+    const har = await this.finishHar(run.page, job, run.harMode, true);
+    await playwrightService.closeContext(run.page);
+    return { trace, har };
+  }
+
+  /**
+   * Article value for a form field, falling back to the AI analysis
+   */
+  articleValue(article, field) {
+    return article[field] || article.ai_analysis?.[field] || null;
+  }
+
+  async stepNavigate(run) {
+    const { page } = run;
+
+    if (run.ownPage) {
+      await this.loadSessionCookies(page, run.cookies, run.job);
+    }
+
+    logger.info('Navigating to upload page...');
+    await playwrightService.navigate(page, `${this.baseUrl}/items/new`);
+
+    await playwrightService.randomDelay(2000, 3000);
+
+    return { strategy: run.ownPage ? 'session_cookies' : 'shared_page' };
+  }
+
+  async stepVerifyLogin(run) {
+    await this.verifyLoggedIn(run.page);
+
+    // Logged-out visitors get redirected from /items/new to sign-up
+    if (!run.page.url().includes('/items/new')) {
+      throw new VintedError(ERROR_CODES.SESSION_EXPIRED, `Upload form not reachable, landed on ${run.page.url()}`);
+    }
+  }
+
+  async stepPhotos(run) {
+    const imageUrls = this.getImageUrls(run.article);
+
+    if (imageUrls.length === 0) {
+      run.fields.push({ field: 'photos', requested: 0, resolved: 0, strategy: null, success: false, error: 'No image URLs' });
+      return { warning: 'No image URLs - article is published without photos' };
+    }
+
+    logger.info('Uploading photos FIRST (first field in Vinted form)', { count: imageUrls.length });
+
+    let uploadResult;
+    try {
+      uploadResult = await this.uploadPhotos(run.page, imageUrls);
+    } catch (error) {
+      run.fields.push({ field: 'photos', requested: imageUrls.length, resolved: 0, strategy: null, success: false, error: error.message });
+      throw error;
+    }
+
+    run.fields.push({
+      field: 'photos',
+      requested: imageUrls.length,
+      resolved: uploadResult.uploadedCount || 0,
+      strategy: uploadResult.selector || null,
+      success: uploadResult.success,
+      error: uploadResult.error
+    });
+
+    await playwrightService.randomDelay(2000, 3000);
+
+    return {
+      strategy: uploadResult.selector || null,
+      warning: uploadResult.success ? null : uploadResult.error
+    };
+  }
+
+  /**
+   * Title, description and price - plain inputs typed like a human
+   */
+  async stepTextField(run, field) {
+    const { article } = run;
+    const inputs = {
+      title: { selector: 'input[id="title"], input[name="title"]', value: article.title || '' },
+      description: { selector: 'textarea[id="description"], textarea[name="description"]', value: article.description || '' },
+      price: { selector: 'input[id="price"], input[name="price"]', value: String(article.price_recommended) }
+    };
+    const { selector, value } = inputs[field];
+
+    // Vinted rejects titles and descriptions under 5 characters
+    if (field !== 'price' && value.length < 5) {
+      const label = field.charAt(0).toUpperCase() + field.slice(1);
+      throw new VintedError(ERROR_CODES.VALIDATION, `${label} must be at least 5 characters long (current: ${value.length})`);
+    }
+
+    logger.info(`Setting ${field}...`, { length: value.length });
+    const success = await playwrightService.humanType(run.page, selector, value);
+    const report = await this.textFieldReport(run.page, field, selector, value, success);
+    run.fields.push(report);
+
+    await playwrightService.randomDelay(500, 1000);
+
+    return { strategy: report.strategy, warning: report.error || null };
+  }
+
+  /**
+   * Category path via formFieldSelector (form-scoped, avoids clicking navigation links)
+   */
+  async stepCategory(run) {
+    const { page, article } = run;
+    const { findBestCategory } = require('../utils/categoryMapping');
+
+    const categoryName = this.articleValue(article, 'category');
+    const gender = article.ai_analysis?.gender;
+
+    const vintedCategory = findBestCategory(categoryName, gender, this.marketplace);
+    logger.info('Selected category', {
+      vintedCategory: vintedCategory.full_path,
+      depth: vintedCategory.depth
+    });
+
+    const pathParts = vintedCategory.full_path.split(' → ');
+    const categoryResult = await formFieldSelector.selectField(page, 'category', pathParts, this.fieldOptions('category'));
+    const report = this.selectFieldReport('category', categoryName, categoryResult, vintedCategory.full_path);
+    run.fields.push(report);
+
+    if (!categoryResult.success) {
+      throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, `Failed to select category: ${categoryResult.error}`);
+    }
+
+    // Should still be on /items/new
+    const urlAfterCategory = page.url();
+    if (!urlAfterCategory.includes('/items/new')) {
+      throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, `Category selection navigated away! URL: ${urlAfterCategory}`);
+    }
+
+    // Wait for form to update with category-specific fields
+    await playwrightService.randomDelay(2000, 3000);
+
+    const brandInputs = await page.locator('input[id="brand"], input[name="brand"]').count();
+    logger.info('Form elements after category (Brand fields visible)', { brandInputs });
+
+    return { strategy: report.strategy };
+  }
+
+  /**
+   * Brand, size, condition, color - custom dropdowns via formFieldSelector
+   */
+  async stepSelectField(run, field) {
+    const requested = this.articleValue(run.article, field);
+    // The condition picker uses the marketplace's labels
+    const mapped = field === 'condition' ? this.mapCondition(requested) : null;
+
+    logger.info(`Setting ${field}...`, { [field]: requested });
+
+    const result = await formFieldSelector.selectField(run.page, field, mapped || requested, this.fieldOptions(field));
+    const report = this.selectFieldReport(field, requested, result, mapped);
+    run.fields.push(report);
+
+    await playwrightService.randomDelay(500, 1000);
+
+    return { strategy: report.strategy, warning: result.success ? null : result.error };
+  }
+
+  async stepSaveDraft(run) {
+    run.outcome = await this.saveDraft(run.page, run);
+  }
+
+  async stepSubmit(run) {
+    logger.info('All fields filled, submitting now...');
+
+    // Listen before clicking so the item-creation response can't slip past us
+    run.itemResponse = this.waitForItemCreation(run.page);
+
+    const clickedSelector = await this.clickSubmitButton(run.page, this.submitButtonSelectors);
+    run.submitted = true;
+
+    // Vinted sometimes asks for a captcha before accepting the listing
+    await playwrightService.randomDelay(1500, 2500);
+    const handoff = await this.resolveChallenge(run.page, run.job, 'submit');
+
+    return {
+      strategy: clickedSelector,
+      warning: handoff ? `Operator solved ${handoff.type}` : null
+    };
+  }
+
+  /**
+   * Confirm the listing exists and find its Vinted ID
+   * Never stores a made-up ID - an unconfirmed publish is a warning
+   */
+  async stepVerify(run) {
+    const { page } = run;
+
+    logger.info('Waiting for publish to complete...');
+    const createdItem = await run.itemResponse;
+
+    try {
+      // Wait for URL change (article published)
+      await page.waitForURL(/catalog|items\/\d+/, { timeout: 20000 });
+      logger.info('Navigation detected after submit');
+    } catch (e) {
+      logger.warn('No URL change detected, checking for success indicators...');
+    }
+
+    await playwrightService.randomDelay(2000, 3000);
+
+    const finalUrl = page.url();
+
+    // 1. Item ID from the item-creation API response
+    let vintedId = createdItem ? String(createdItem.id) : null;
+    let idSource = vintedId ? 'api_response' : null;
+
+    // 2. Item ID from the URL we landed on
+    if (!vintedId) {
+      const urlMatch = finalUrl.match(/items\/(\d+)/);
+      if (urlMatch) {
+        vintedId = urlMatch[1];
+        idSource = 'url';
+      }
+    }
+
+    // A resumed submit may have been stopped by a captcha before Vinted saved anything -
+    // only the wardrobe can tell, so look there instead of giving up
+    if (!vintedId && !createdItem && finalUrl.includes('/items/new') && !run.resumedAfterSubmit) {
+      throw new Error('Could not verify article was published successfully');
+    }
+
+    // 3. Newest matching item in the member's wardrobe
+    if (!vintedId) {
+      const wardrobeItem = await this.findNewestWardrobeItem(page, run.article.title);
+      if (wardrobeItem) {
+        vintedId = String(wardrobeItem.id);
+        idSource = 'wardrobe';
+      }
+    }
+
+    if (!vintedId && run.resumedAfterSubmit && finalUrl.includes('/items/new')) {
+      throw new Error('Could not verify article was published - submit was clicked before, retry without resume to submit again');
+    }
+
+    const verified = !!vintedId;
+
+    if (verified) {
+      logger.info('Extracted Vinted ID', { vintedId, idSource });
+    }
+
+    run.outcome = {
+      verified,
+      vintedUrl: verified ? `${this.baseUrl}/items/${vintedId}` : null,
+      vintedId,
+      idSource,
+      finalUrl
+    };
+
+    return {
+      strategy: idSource,
+      warning: verified ? null : 'Article seems published but its Vinted ID could not be determined'
+    };
+  }
+
+  /**
+   * Resolve with the item from Vinted's item-creation API response
+   * (same waitForResponse approach as navigateToCategory), or null on timeout
+   */
+  waitForItemCreation(page, timeout = 30000) {
+    return page.waitForResponse(
+      response => /\/api\/v2\/item_upload\/items(\?|$)/.test(response.url()) &&
+        response.request().method() === 'POST',
+      { timeout }
+    ).then(async response => {
+      if (!response.ok()) {
+        logger.warn('Item creation API returned an error', { status: response.status() });
+        return null;
+      }
+
+      const body = await response.json();
+      const item = body.item || null;
+
+      if (item && item.id) {
+        logger.info('Captured item creation response', { itemId: item.id });
+        return item;
+      }
+      return null;
+    }).catch(error => {
+      logger.warn('No item creation response captured', { error: error.message });
+      return null;
+    });
+  }
+
+  /**
+   * Look up the newest item in the logged-in member's wardrobe
+   * Fallback when neither the API response nor the URL gave us an ID
+   */
+  async findNewestWardrobeItem(page, title) {
+    try {
+      // Member ID from the profile link in the header: /member/12345-name
+      const profileHref = await page.locator('a[href*="/member/"]').first().getAttribute('href', { timeout: 5000 });
+      const memberMatch = profileHref && profileHref.match(/\/member\/(\d+)/);
+
+      if (!memberMatch) {
+        logger.warn('Could not determine member ID for wardrobe lookup');
+        return null;
+      }
+
+      const response = await page.request.get(
+        `${this.baseUrl}/api/v2/wardrobe/${memberMatch[1]}/items?page=1&per_page=20&order=newest_first`
+      );
+
+      if (!response.ok()) {
+        logger.warn('Wardrobe lookup failed', { status: response.status() });
+        return null;
+      }
+
+      const { items = [] } = await response.json();
+      const normalizedTitle = (title || '').trim().toLowerCase();
+      const match = items.find(item => (item.title || '').trim().toLowerCase() === normalizedTitle);
+
+      if (match) {
+        logger.info('Found item in wardrobe', { itemId: match.id });
+      } else {
+        logger.warn('No wardrobe item matches the article title', { checked: items.length });
+      }
+
+      return match || null;
+    } catch (error) {
+      logger.warn('Wardrobe lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Save the filled upload form as a Vinted draft
+   * The draft ID comes from the draft API response, the URL as a fallback
+   * @param {object} state - flagged `submitted` once the save button was clicked
+   */
+  async saveDraft(page, state = {}) {
+    logger.info('All fields filled, saving as draft...');
+
+    // Listen before clicking so the response can't slip past us
+    const draftResponse = page.waitForResponse(
+      response => /\/api\/v2\/item_upload\/drafts/.test(response.url()) &&
+        response.request().method() !== 'GET',
+      { timeout: 20000 }
+    ).catch(() => null);
+
+    await this.clickSubmitButton(page, this.draftButtonSelectors);
+    state.submitted = true;
+
+    let draftId = null;
+    const response = await draftResponse;
+
+    if (response) {
+      try {
+        const body = await response.json();
+        draftId = body.draft?.id || body.item?.id || null;
+      } catch (e) {
+        logger.warn('Could not parse draft API response', { error: e.message });
       }
+    }
+
+    await playwrightService.randomDelay(2000, 3000);
+
+    if (!draftId) {
+      const urlMatch = page.url().match(/items\/(\d+)/);
+      draftId = urlMatch ? urlMatch[1] : null;
+    }
+
+    if (!draftId) {
+      throw new Error('Draft was saved but its ID could not be determined');
+    }
+
+    return {
+      vintedId: String(draftId),
+      vintedUrl: `${this.baseUrl}/items/${draftId}/edit`
+    };
+  }
+
+  /**
+   * Promote an existing Vinted draft to a live listing
+   * Opens the draft's edit form and clicks the regular submit button
+   */
+  async publishDraft(draftId, cookies, userAgent, options = {}) {
+    const startTime = Date.now();
+    const { job } = options;
+    let page = null;
+
+    try {
+      logger.info('Starting draft promotion', { draftId });
+
+      page = await playwrightService.createPage(userAgent, { marketplace: this.marketplace });
+
+      await this.openLoggedInSession(page, cookies, job);
+
+      this.reportProgress(job, 'open_draft');
+      logger.info('Navigating to draft...');
+      await playwrightService.navigate(page, `${this.baseUrl}/items/${draftId}/edit`);
+
+      await playwrightService.randomDelay(2000, 3000);
+
+      if (!page.url().includes(`/items/${draftId}`)) {
+        throw new Error(`Draft ${draftId} could not be opened (landed on ${page.url()})`);
+      }
+
+      this.reportProgress(job, 'submit');
+      await this.clickSubmitButton(page, this.submitButtonSelectors);
+
+      await playwrightService.randomDelay(1500, 2500);
+      await this.resolveChallenge(page, job, 'submit');
+
+      this.reportProgress(job, 'verify');
+      try {
+        await page.waitForURL(url => !url.pathname.endsWith('/edit'), { timeout: 20000 });
+      } catch (e) {
+        throw new Error('Draft was submitted but the edit form did not close - publish not confirmed');
+      }
+
+      await playwrightService.randomDelay(2000, 3000);
+
+      const duration = Date.now() - startTime;
+      logger.info('Draft published successfully', { draftId, duration });
+
+      const sessionCookies = await this.captureCookies(page);
+      await playwrightService.closeContext(page);
+
+      return {
+        success: true,
+        vintedId: String(draftId),
+        vintedUrl: `${this.baseUrl}/items/${draftId}`,
+        duration,
+        cookies: sessionCookies
+      };
+    } catch (error) {
+      logger.error('Draft promotion failed', {
+        draftId,
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+
+      const evidence = await this.captureFailure(page, job);
+      await playwrightService.closeContext(page);
+
+      return {
+        success: false,
+        error: error.message,
+        errorCode: classifyError(error).code,
+        duration: Date.now() - startTime,
+        ...evidence
+      };
+    }
+  }
+
+  /**
+   * Update an existing listing so it matches the Supabase article
+   * Reads the current values from /items/:id/edit and only touches fields that differ.
+   * Photos can't be compared by content, they are replaced when options.replacePhotos is set.
+   * @returns {Promise<{success: boolean, changes: array, cookies?: array, error?: string}>}
+   */
+  async editListing(article, cookies, userAgent, options = {}) {
+    const startTime = Date.now();
+    const { job, replacePhotos = false } = options;
+    const vintedId = article.vinted_id;
+    const changes = [];
+    let page = null;
+
+    try {
+      logger.info('Starting listing edit', { articleId: article.id, vintedId });
+
+      page = await playwrightService.createPage(userAgent, { marketplace: this.marketplace });
+
+      await this.openLoggedInSession(page, cookies, job);
+
+      this.reportProgress(job, 'open_edit_form');
+      await playwrightService.navigate(page, `${this.baseUrl}/items/${vintedId}/edit`);
 
       await playwrightService.randomDelay(2000, 3000);
 
-      // const screenshotBefore = await playwrightService.takeScreenshot(page);
+      if (!formFieldSelector.isItemFormUrl(page.url())) {
+        throw new Error(`Edit form for item ${vintedId} could not be opened (landed on ${page.url()})`);
+      }
+
+      // Diff Supabase article against what the form currently shows
+      this.reportProgress(job, 'diff');
+      const current = await this.readListingForm(page);
+      const desired = {
+        title: article.title || null,
+        description: article.description || null,
+        price: article.price_recommended ? article.price_recommended.toString() : null,
+        brand: article.brand || article.ai_analysis?.brand || null,
+        size: article.size || article.ai_analysis?.size || null,
+        condition: (article.condition || article.ai_analysis?.condition)
+          ? this.mapCondition(article.condition || article.ai_analysis?.condition)
+          : null,
+        color: article.color || article.ai_analysis?.color || null
+      };
+
+      const changedFields = Object.keys(desired).filter(field =>
+        desired[field] !== null && !this.sameFieldValue(field, current[field], desired[field])
+      );
+
+      logger.info('Listing diff', { vintedId, changedFields, replacePhotos });
+
+      if (changedFields.length === 0 && !replacePhotos) {
+        const sessionCookies = await this.captureCookies(page);
+        await playwrightService.closeContext(page);
+        return {
+          success: true,
+          changes,
+          duration: Date.now() - startTime,
+          cookies: sessionCookies
+        };
+      }
+
+      const textSelectors = {
+        title: 'input[id="title"], input[name="title"]',
+        description: 'textarea[id="description"], textarea[name="description"]',
+        price: 'input[id="price"], input[name="price"]'
+      };
+
+      if (replacePhotos) {
+        this.reportProgress(job, 'photos');
+        const removed = await this.removeListingPhotos(page);
+        const uploadResult = await this.uploadPhotos(page, this.getImageUrls(article));
+        changes.push({
+          field: 'photos',
+          from: removed,
+          to: uploadResult.uploadedCount || 0,
+          success: uploadResult.success,
+          error: uploadResult.error
+        });
+      }
+
+      for (const field of changedFields) {
+        this.reportProgress(job, field);
+        let change;
+
+        if (textSelectors[field]) {
+          const typed = await playwrightService.humanType(page, textSelectors[field], desired[field]);
+          change = {
+            field,
+            from: current[field],
+            to: desired[field],
+            success: typed,
+            error: typed ? undefined : `Failed to type into ${field}`
+          };
+        } else {
+          const result = await formFieldSelector.selectField(page, field, desired[field], this.fieldOptions(field));
+          change = {
+            field,
+            from: current[field],
+            to: result.resolvedValue || desired[field],
+            strategy: result.strategy,
+            success: result.success,
+            error: result.error
+          };
+        }
+
+        if (!change.success) {
+          logger.warn(`Could not update ${field}`, { error: change.error });
+          this.reportProgress(job, field, 'warning', change.error);
+        }
+
+        changes.push(change);
+        await playwrightService.randomDelay(500, 1000);
+      }
+
+      if (!changes.some(change => change.success)) {
+        throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, 'None of the changed fields could be updated');
+      }
+
+      this.reportProgress(job, 'save');
+      await this.clickSubmitButton(page, this.saveButtonSelectors);
+
+      this.reportProgress(job, 'verify');
+      try {
+        await page.waitForURL(url => !url.pathname.endsWith('/edit'), { timeout: 20000 });
+      } catch (e) {
+        throw new Error('Changes were submitted but the edit form did not close - save not confirmed');
+      }
+
+      const duration = Date.now() - startTime;
+      logger.info('Listing updated successfully', { vintedId, changes: changes.length, duration });
+
+      const sessionCookies = await this.captureCookies(page);
+      await playwrightService.closeContext(page);
+
+      return {
+        success: true,
+        changes,
+        duration,
+        cookies: sessionCookies
+      };
+    } catch (error) {
+      logger.error('Listing edit failed', {
+        vintedId,
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+
+      const evidence = await this.captureFailure(page, job);
+      await playwrightService.closeContext(page);
+
+      return {
+        success: false,
+        error: error.message,
+        errorCode: classifyError(error).code,
+        changes,
+        duration: Date.now() - startTime,
+        ...evidence
+      };
+    }
+  }
+
+  /**
+   * Current values of the item form (edit page)
+   */
+  async readListingForm(page) {
+    const readInput = async selector => {
+      try {
+        return await page.locator(selector).first().inputValue({ timeout: 3000 });
+      } catch (e) {
+        return null;
+      }
+    };
+
+    return {
+      title: await readInput('input[id="title"], input[name="title"]'),
+      description: await readInput('textarea[id="description"], textarea[name="description"]'),
+      price: await readInput('input[id="price"], input[name="price"]'),
+      brand: await formFieldSelector.readFieldValue(page, 'brand'),
+      size: await formFieldSelector.readFieldValue(page, 'size'),
+      condition: await formFieldSelector.readFieldValue(page, 'condition'),
+      color: await formFieldSelector.readFieldValue(page, 'color')
+    };
+  }
+
+  sameFieldValue(field, current, desired) {
+    if (current === null || current === undefined) {
+      return false;
+    }
+
+    if (field === 'price') {
+      const parsed = this.parsePrice(current);
+      return parsed !== null && Math.abs(parsed - parseFloat(desired)) < 0.005;
+    }
+
+    return current.trim().toLowerCase() === String(desired).trim().toLowerCase();
+  }
+
+  /**
+   * Number from a displayed price like "1.234,00 €" (de) or "1 234,00 €" (fr)
+   * The marketplace locale's decimal separator splits off the cents, every other
+   * separator groups thousands. A raw input value without it ("25.00") keeps a
+   * trailing 1-2 digit part as decimals.
+   * @returns {number|null}
+   */
+  parsePrice(text) {
+    const decimal = new Intl.NumberFormat(this.marketplace.locale).formatToParts(1.5)
+      .find(part => part.type === 'decimal').value;
+    const value = String(text).replace(/[^\d.,]/g, '');
+    const index = value.lastIndexOf(decimal);
+    const fallback = value.match(/[.,](\d{1,2})$/);
+
+    let integer = value;
+    let fraction = '';
+
+    if (index !== -1) {
+      integer = value.slice(0, index);
+      fraction = value.slice(index + 1);
+    } else if (fallback) {
+      integer = value.slice(0, fallback.index);
+      fraction = fallback[1];
+    }
+
+    const parsed = parseFloat(`${integer.replace(/\D/g, '')}.${fraction.replace(/\D/g, '')}`);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Remove all photos from the item form
+   * @returns {Promise<number>} Number of photos removed
+   */
+  async removeListingPhotos(page) {
+    const removeButtonSelectors = [
+      '#photos button[data-testid*="delete"]',
+      ...this.marketplace.strings.removePhoto.map(label => `#photos button[aria-label*="${label}"]`)
+    ];
+
+    let removed = 0;
+
+    for (const selector of removeButtonSelectors) {
+      // Buttons re-render after each removal, so always take the first one
+      while (await page.locator(selector).count() > 0 && removed < 20) {
+        try {
+          await page.locator(selector).first().click();
+          removed++;
+          await playwrightService.randomDelay(500, 1000);
+        } catch (e) {
+          logger.debug(`Could not remove photo with selector "${selector}": ${e.message}`);
+          break;
+        }
+      }
+
+      if (removed > 0) break;
+    }
+
+    logger.info(`Removed ${removed} existing photo(s)`);
+    return removed;
+  }
+
+  /**
+   * Run an owner action (delete, hide, unhide, reserve, sold) on a live listing
+   * @returns {Promise<{success: boolean, action: string, cookies?: array, error?: string}>}
+   */
+  async manageListing(vintedId, action, cookies, userAgent, options = {}) {
+    const startTime = Date.now();
+    const { job } = options;
+    const config = this.listingActions[action];
+    let page = null;
+
+    try {
+      if (!config) {
+        throw new VintedError(ERROR_CODES.VALIDATION, `Unknown listing action: ${action}`);
+      }
+
+      logger.info('Starting listing action', { vintedId, action });
 
-      logger.info('Filling login form...');
+      page = await playwrightService.createPage(userAgent, { marketplace: this.marketplace });
 
-      const emailSelector = 'input#username, input[name="username"]';
-      const passwordSelector = 'input#password, input[name="password"]';
-      const submitSelector = 'button[type="submit"]';
+      await this.openLoggedInSession(page, cookies, job);
 
-      const emailSuccess = await playwrightService.humanType(page, emailSelector, email);
-      if (!emailSuccess) {
-        throw new Error('Failed to enter email');
-      }
+      this.reportProgress(job, 'open_item');
+      const itemUrl = `${this.baseUrl}/items/${vintedId}`;
+      await playwrightService.navigate(page, itemUrl);
 
-      await playwrightService.randomDelay(500, 1000);
+      await playwrightService.randomDelay(2000, 3000);
 
-      const passwordSuccess = await playwrightService.humanType(page, passwordSelector, password);
-      if (!passwordSuccess) {
-        throw new Error('Failed to enter password');
+      if (!page.url().includes(`/items/${vintedId}`)) {
+        throw new Error(`Item ${vintedId} could not be opened (landed on ${page.url()})`);
       }
 
-      await playwrightService.randomDelay(1000, 2000);
+      this.reportProgress(job, action);
+      const clicked = await this.clickFirstVisible(page, config.buttons, 5000);
 
-      logger.info('Submitting login form...');
-      
-      // Click submit and wait for navigation
-      await page.locator(submitSelector).click();
-      
-      // Wait for navigation with timeout
-      try {
-        await page.waitForLoadState('networkidle', { timeout: 15000 });
-      } catch (e) {
-        logger.warn('Navigation timeout after login submit - might be OK');
+      if (!clicked) {
+        throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, `Could not find "${action}" button on item page`);
       }
 
-      await playwrightService.randomDelay(3000, 5000);
-
-      // const screenshotAfter = await playwrightService.takeScreenshot(page);
-
-      const currentUrl = page.url();
-      logger.info('Current URL after login', { url: currentUrl });
+      logger.info(`Clicked ${action} button: ${clicked}`);
+      await playwrightService.randomDelay(1000, 2000);
 
-      if (currentUrl.includes('/member/login')) {
-        throw new Error('Login failed - still on login page. Check credentials or CAPTCHA required.');
+      if (config.confirm.length > 0) {
+        const confirmed = await this.clickFirstVisible(page, config.confirm, 5000);
+        logger.info(confirmed ? `Confirmed ${action}: ${confirmed}` : `No confirmation dialog for ${action}`);
+        await playwrightService.randomDelay(1500, 2500);
       }
 
-      const cookies = await playwrightService.getCookies(page);
+      this.reportProgress(job, 'verify');
 
-      if (cookies.length < 3) {
-        throw new Error('Login might have failed - not enough cookies received');
+      if (action === 'delete') {
+        try {
+          await page.waitForURL(url => !url.pathname.includes(`/items/${vintedId}`), { timeout: 15000 });
+        } catch (e) {
+          throw new Error('Delete was clicked but the item page is still open - deletion not confirmed');
+        }
+      } else {
+        await this.verifyListingState(page, action, config.verify);
       }
 
-      const userAgent = await page.evaluate(() => navigator.userAgent);
-
       const duration = Date.now() - startTime;
-      logger.info('Login successful', {
-        duration,
-        cookieCount: cookies.length,
-        finalUrl: currentUrl
-      });
+      logger.info('Listing action completed', { vintedId, action, duration });
 
-      await playwrightService.closeBrowser();
+      const sessionCookies = await this.captureCookies(page);
+      await playwrightService.closeContext(page);
 
       return {
         success: true,
-        cookies: cookies,
-        userAgent: userAgent,
-        duration: duration,
-        screenshots: {
-          before: screenshotBefore,
-          after: screenshotAfter
-        },
-        finalUrl: currentUrl
+        action,
+        duration,
+        cookies: sessionCookies
       };
-
     } catch (error) {
-      logger.error('Login failed', {
+      logger.error('Listing action failed', {
+        vintedId,
+        action,
         error: error.message,
         duration: Date.now() - startTime
       });
 
-      let errorScreenshot = null;
-      // Screenshot disabled to save tokens
-      // if (page) {
-      //   errorScreenshot = await playwrightService.takeScreenshot(page);
-      // }
-
-      await playwrightService.closeBrowser();
+      const evidence = await this.captureFailure(page, job);
+      await playwrightService.closeContext(page);
 
       return {
         success: false,
+        action,
         error: error.message,
+        errorCode: classifyError(error).code,
         duration: Date.now() - startTime,
-        errorScreenshot: null
+        ...evidence
       };
     }
   }
 
-  async publishArticle(article, cookies, userAgent) {
+  /**
+   * Reload the item page and wait until it shows the action's new state
+   * (counter button or status badge) - a click without a confirmation dialog
+   * may have done nothing
+   */
+  async verifyListingState(page, action, selectors) {
+    await playwrightService.reload(page);
+
+    const state = selectors
+      .map(selector => page.locator(selector))
+      .reduce((any, locator) => any.or(locator));
+
+    try {
+      await state.first().waitFor({ state: 'visible', timeout: 10000 });
+    } catch (e) {
+      throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, `"${action}" was clicked but the item page does not show the new state - action not confirmed`);
+    }
+  }
+
+  /**
+   * Click the first visible element matching one of the selectors
+   * @returns {Promise<string|null>} The selector that was clicked
+   */
+  async clickFirstVisible(page, selectors, timeout = 3000) {
+    for (const selector of selectors) {
+      try {
+        const element = page.locator(selector).first();
+        await element.waitFor({ state: 'visible', timeout });
+        await playwrightService.randomDelay(300, 800);
+        await element.click();
+        return selector;
+      } catch (e) {
+        continue;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load the session cookies in a fresh context and check whether Vinted
+   * still treats them as logged in
+   * Challenge pages and pages without user menu or login link end with
+   * success: false - loggedIn: false means Vinted clearly showed a logout
+   * @returns {Promise<object>} { success, loggedIn, cookies, duration } where
+   *   cookies are the context's Vinted cookies afterwards, with rotated values
+   */
+  async verifySession(cookies, userAgent) {
     const startTime = Date.now();
     let page = null;
 
     try {
-      logger.info('Starting Vinted publish', {
-        articleId: article.id,
-        title: article.title
-      });
-
-      page = await playwrightService.createPage(userAgent);
+      page = await playwrightService.createPage(userAgent, { marketplace: this.marketplace });
 
-      // WICHTIG: Erst zur Homepage, DANN Cookies setzen!
-      logger.info('Navigating to homepage first...');
-      await page.goto(this.baseUrl, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+      await playwrightService.navigate(page, this.baseUrl);
 
+      await playwrightService.setCookies(page, cookies);
+      await playwrightService.reload(page);
       await playwrightService.randomDelay(1000, 2000);
 
-      // Jetzt Cookies setzen
-      logger.info('Setting cookies...');
-      await playwrightService.setCookies(page, cookies);
+      // A captcha or DataDome page hides the user menu without the session being gone
+      const challenge = await handoffService.detectChallenge(page, this.marketplace);
+      if (challenge) {
+        throw new VintedError(ERROR_CODES.ANTI_BOT_BLOCK, `Challenge during session check: ${challenge.reason}`);
+      }
 
-      await playwrightService.randomDelay(1000, 2000);
+      const state = await this.loginState(page);
+      if (state === 'unknown') {
+        throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, 'Login state unclear: neither user menu nor login link found');
+      }
 
-      // Seite neu laden um Cookies zu aktivieren
-      logger.info('Reloading page with cookies...');
-      await page.reload({ waitUntil: 'networkidle' });
+      const loggedIn = state === 'logged_in';
+      const currentCookies = loggedIn ? await this.captureCookies(page) : [];
+      const duration = Date.now() - startTime;
 
-      await playwrightService.randomDelay(2000, 3000);
+      logger.info('Session verification finished', { loggedIn, duration });
 
-      // Screenshot von Homepage mit Cookies - DISABLED to save tokens
-      // const screenshotHome = await playwrightService.takeScreenshot(page);
-      logger.info('Screenshot disabled - skipping homepage screenshot');
+      await playwrightService.closeContext(page);
 
-      // Check ob eingeloggt
-      const isLoggedIn = await this.checkIfLoggedIn(page);
-      logger.info('Login status check', { isLoggedIn });
+      return { success: true, loggedIn, cookies: currentCookies, duration };
+    } catch (error) {
+      logger.error('Session verification failed', { error: error.message });
 
-      if (!isLoggedIn) {
-        throw new Error('Not logged in after setting cookies. Please check cookie validity.');
-      }
+      await playwrightService.closeContext(page);
 
-      // Jetzt zur Upload-Seite
-      logger.info('Navigating to upload page...');
-      await page.goto(`${this.baseUrl}/items/new`, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+      return {
+        success: false,
+        error: error.message,
+        errorCode: classifyError(error).code,
+        duration: Date.now() - startTime
+      };
+    }
+  }
 
-      await playwrightService.randomDelay(2000, 3000);
+  /**
+   * Vinted cookies of the page's context in the stored (Playwright) format
+   * Successful runs return them as `cookies` so rotated values get saved
+   */
+  async captureCookies(page) {
+    const cookies = await playwrightService.getCookies(page);
+    return playwrightService.toPlaywrightCookies(
+      cookies.filter(cookie => cookie.domain.includes('vinted.'))
+    );
+  }
 
-      // Screenshot von Upload-Seite - DISABLED to save tokens
-      // const screenshotUpload = await playwrightService.takeScreenshot(page);
-      logger.info('Screenshot disabled - skipping upload page screenshot');
+  /**
+   * Open a logged-in page that can be passed to several publishArticle calls
+   * Caller closes it with playwrightService.closeContext(page)
+   */
+  async openSession(cookies, userAgent, options = {}) {
+    const page = await playwrightService.createPage(userAgent, { marketplace: this.marketplace });
 
-      logger.info('Starting article upload...');
+    try {
+      await this.openLoggedInSession(page, cookies, options.job);
+      return page;
+    } catch (error) {
+      await playwrightService.closeContext(page);
+      throw error;
+    }
+  }
 
-      // STEP 1: PHOTO UPLOAD FIRST (as it's the first field on Vinted's form)
-      let imageUrls = [];
-      
-      if (article.image_urls && Array.isArray(article.image_urls) && article.image_urls.length > 0) {
-        imageUrls = article.image_urls;
-      } else if (article.original_image_url) {
-        imageUrls = [article.original_image_url];
-      } else if (article.processed_image_url) {
-        imageUrls = [article.processed_image_url];
-      }
-      
-      if (imageUrls.length === 0) {
-        logger.warn('No image URLs found - article will be published without photos');
-      } else {
-        logger.info('Uploading photos FIRST (first field in Vinted form)', { count: imageUrls.length });
-        
-        try {
-          const uploadResult = await this.uploadPhotos(page, imageUrls);
-          
-          if (uploadResult.success) {
-            logger.info('✓ Photos uploaded successfully', { count: uploadResult.uploadedCount });
-          } else {
-            logger.warn('Photo upload failed', { error: uploadResult.error });
-          }
-        } catch (error) {
-          logger.warn('Photo upload threw error', { error: error.message });
-        }
-        
-        await playwrightService.randomDelay(2000, 3000);
-      }
+  /**
+   * Open Vinted with the session cookies and make sure we are logged in
+   * Throws when the cookies no longer give a logged-in session
+   */
+  async openLoggedInSession(page, cookies, job = null) {
+    this.reportProgress(job, 'open_session');
+    await this.loadSessionCookies(page, cookies, job);
 
-      // STEP 2: Now fill text fields
-      // VALIDATION: Ensure minimum 5 characters for title and description
-      const title = article.title || '';
-      const description = article.description || '';
-      
-      if (title.length < 5) {
-        throw new Error(`Title must be at least 5 characters long (current: ${title.length})`);
-      }
-      
-      if (description.length < 5) {
-        throw new Error(`Description must be at least 5 characters long (current: ${description.length})`);
-      }
+    this.reportProgress(job, 'verify_login');
+    await this.verifyLoggedIn(page);
+  }
 
-      // Title field - use Playwright's more robust methods
-      logger.info('Setting title...', { length: title.length });
-      const titleSelector = 'input[id="title"], input[name="title"]';
-      await playwrightService.humanType(page, titleSelector, title);
-      await playwrightService.randomDelay(500, 1000);
+  /**
+   * Open the homepage and activate the session cookies on it
+   */
+  async loadSessionCookies(page, cookies, job = null) {
+    // Watchable via GET /jobs/:jobId/screencast from here on
+    screencastService.attach(job, page);
 
-      // Description field
-      logger.info('Setting description...', { length: description.length });
-      const descriptionSelector = 'textarea[id="description"], textarea[name="description"]';
-      await playwrightService.humanType(page, descriptionSelector, description);
-      await playwrightService.randomDelay(500, 1000);
+    // WICHTIG: Erst zur Homepage, DANN Cookies setzen!
+    logger.info('Navigating to homepage first...');
+    await playwrightService.navigate(page, this.baseUrl);
 
-      if (article.price_recommended) {
-        logger.info('Setting price...');
-        const priceSelector = 'input[id="price"], input[name="price"]';
-        await playwrightService.humanType(
-          page,
-          priceSelector,
-          article.price_recommended.toString()
-        );
-        await playwrightService.randomDelay(500, 1000);
-      }
+    await playwrightService.randomDelay(1000, 2000);
 
-      // Kategorie-Auswahl - using NEW formFieldSelector (form-scoped, avoids navigation!)
-      if (article.category || article.ai_analysis?.category) {
-        logger.info('Selecting category...');
-        const { findBestCategory } = require('../utils/categoryMapping');
-        
-        const categoryName = article.category || article.ai_analysis?.category;
-        const gender = article.ai_analysis?.gender;
-        
-        const vintedCategory = findBestCategory(categoryName, gender);
-        logger.info('Selected category', { 
-          vintedCategory: vintedCategory.full_path,
-          depth: vintedCategory.depth 
-        });
-        
-        // NEW: Use formFieldSelector - scoped to form context, avoids clicking navigation links!
-        const pathParts = vintedCategory.full_path.split(' → ');
-        const categoryResult = await formFieldSelector.selectField(page, 'category', pathParts);
-        
-        if (!categoryResult.success) {
-          throw new Error(`Failed to select category: ${categoryResult.error}`);
-        }
-        
-        logger.info('✓ Category selected successfully (stayed on /items/new)');
-        
-        // Verify URL - should still be on /items/new
-        const urlAfterCategory = page.url();
-        logger.info('URL after category selection', { url: urlAfterCategory });
-        
-        if (!urlAfterCategory.includes('/items/new')) {
-          throw new Error(`Category selection navigated away! URL: ${urlAfterCategory}`);
-        }
-        
-        // Wait for form to update with category-specific fields
-        await playwrightService.randomDelay(2000, 3000);
-        
-        // Check how many form elements are visible now
-        const brandInputs = await page.locator('input[id="brand"], input[name="brand"]').count();
-        logger.info('Form elements after category (Brand fields visible)', { brandInputs });
-      }
+    // Jetzt Cookies setzen
+    logger.info('Setting cookies...');
+    await playwrightService.setCookies(page, cookies);
 
-      // BRAND field - using formFieldSelector (custom UI like category)
-      if (article.brand || article.ai_analysis?.brand) {
-        const brand = article.brand || article.ai_analysis?.brand;
-        logger.info('Setting brand...', { brand });
-        
-        const brandResult = await formFieldSelector.selectField(page, 'brand', brand);
-        
-        if (brandResult.success) {
-          logger.info('✓ Brand selected successfully');
-        } else {
-          logger.warn('Could not set brand field', { error: brandResult.error });
-        }
-        
-        await playwrightService.randomDelay(500, 1000);
-      }
+    await playwrightService.randomDelay(1000, 2000);
 
-      // SIZE field - using formFieldSelector (custom UI like category)
-      if (article.size || article.ai_analysis?.size) {
-        const size = article.size || article.ai_analysis?.size;
-        logger.info('Setting size...', { size });
-        
-        const sizeResult = await formFieldSelector.selectField(page, 'size', size);
+    // Seite neu laden um Cookies zu aktivieren
+    logger.info('Reloading page with cookies...');
+    await playwrightService.reload(page);
+
+    await playwrightService.randomDelay(2000, 3000);
+
+    // Screenshot von Homepage mit Cookies - DISABLED to save tokens
+    // const screenshotHome = await playwrightService.takeScreenshot(page);
+    logger.info('Screenshot disabled - skipping homepage screenshot');
+
+    await this.resolveChallenge(page, job, 'open_session');
+  }
+
+  /**
+   * Throws when the page does not show a logged-in session
+   */
+  async verifyLoggedIn(page) {
+    const isLoggedIn = await this.checkIfLoggedIn(page);
+    logger.info('Login status check', { isLoggedIn });
+
+    if (!isLoggedIn) {
+      throw new VintedError(ERROR_CODES.SESSION_EXPIRED, 'Not logged in after setting cookies. Please check cookie validity.');
+    }
+  }
+
+  /**
+   * Click the first enabled button matching one of the selectors
+   * @returns {Promise<string>} The selector that was clicked
+   */
+  async clickSubmitButton(page, selectors) {
+    let submitSuccess = false;
+    let clickedSelector = null;
+    let foundButDisabled = [];
+    
+    // Try different selectors
+    for (const selector of selectors) {
+      try {
+        const submitButtons = await page.locator(selector).all();
+        logger.info(`Checking selector "${selector}" - found ${submitButtons.length} button(s)`);
         
-        if (sizeResult.success) {
-          logger.info('✓ Size selected successfully');
-        } else {
-          logger.warn('Could not set size field', { error: sizeResult.error });
+        if (submitButtons.length === 0) {
+          continue;
         }
         
-        await playwrightService.randomDelay(500, 1000);
-      }
-
-      // CONDITION field - using formFieldSelector (custom UI like category)
-      if (article.condition || article.ai_analysis?.condition) {
-        let condition = article.condition || article.ai_analysis?.condition;
-        logger.info('Setting condition...', { condition });
-        
-        // Map condition to Vinted German values
-        const conditionMap = {
-          'neu': 'Neu mit Etikett',
-          'sehr gut': 'Sehr gut',
-          'gut': 'Gut',
-          'zufriedenstellend': 'Zufriedenstellend',
-          'new': 'Neu mit Etikett',
-          'very good': 'Sehr gut',
-          'good': 'Gut',
-          'satisfactory': 'Zufriedenstellend'
-        };
+        const submitButton = page.locator(selector).first();
+        await submitButton.waitFor({ state: 'visible', timeout: 3000 });
         
-        const vintedCondition = conditionMap[condition.toLowerCase()] || condition;
+        // Check if button is enabled
+        const isDisabled = await submitButton.getAttribute('disabled');
+        const buttonText = await submitButton.textContent();
         
-        const conditionResult = await formFieldSelector.selectField(page, 'condition', vintedCondition);
+        logger.info(`Button found: "${buttonText}" - Disabled: ${isDisabled !== null}`);
         
-        if (conditionResult.success) {
-          logger.info('✓ Condition selected successfully', { vintedCondition });
-        } else {
-          logger.warn('Could not set condition field', { error: conditionResult.error });
+        if (isDisabled !== null) {
+          foundButDisabled.push({ selector, text: buttonText });
+          logger.warn(`Submit button found but disabled: ${selector}`);
+          continue;
         }
         
-        await playwrightService.randomDelay(500, 1000);
+        logger.info(`Clicking submit button: ${selector}`);
+        await submitButton.click();
+        submitSuccess = true;
+        clickedSelector = selector;
+        break;
+      } catch (e) {
+        logger.debug(`Submit button not found or error with selector "${selector}": ${e.message}`);
+        continue;
       }
+    }
 
-      // COLOR field - using formFieldSelector (custom UI like category)
-      if (article.color || article.ai_analysis?.color) {
-        const color = article.color || article.ai_analysis?.color;
-        logger.info('Setting color...', { color });
-        
-        const colorResult = await formFieldSelector.selectField(page, 'color', color);
-        
-        if (colorResult.success) {
-          logger.info('✓ Color selected successfully');
-        } else {
-          logger.warn('Could not set color field', { error: colorResult.error });
-        }
-        
-        await playwrightService.randomDelay(500, 1000);
+    if (!submitSuccess) {
+      if (foundButDisabled.length > 0) {
+        logger.error('Submit button(s) found but all disabled', { foundButDisabled });
+        throw new VintedError(ERROR_CODES.VALIDATION, 'Submit button is disabled - likely missing required fields (photos?)');
       }
+      throw new VintedError(ERROR_CODES.SELECTOR_NOT_FOUND, 'Could not find submit button on page');
+    }
 
-      // const screenshotFilled = await playwrightService.takeScreenshot(page);
+    return clickedSelector;
+  }
 
-      logger.info('All fields filled, submitting now...');
+  /**
+   * Report entry for a plain text input: requested vs. value read back from the form
+   */
+  async textFieldReport(page, field, selector, requested, success) {
+    let resolved = null;
+    try {
+      resolved = await page.locator(selector).first().inputValue({ timeout: 2000 });
+    } catch (e) {
+      logger.debug(`Could not read back ${field}: ${e.message}`);
+    }
 
-      // Find and click submit button
-      const submitButtonSelectors = [
-        'button[type="submit"]',
-        'button[data-testid="item-upload-form-button"]',
-        'button[data-testid="submit-button"]',
-        'button.Button--primary',
-        'button:has-text("Hochladen")',
-        'button:has-text("Veröffentlichen")'
-      ];
+    return {
+      field,
+      requested,
+      resolved,
+      strategy: 'humanType',
+      success,
+      error: success ? undefined : `Failed to type into ${selector}`
+    };
+  }
 
-      let submitSuccess = false;
-      let foundButDisabled = [];
-      
-      // Try different selectors
-      for (const selector of submitButtonSelectors) {
-        try {
-          const submitButtons = await page.locator(selector).all();
-          logger.info(`Checking selector "${selector}" - found ${submitButtons.length} button(s)`);
-          
-          if (submitButtons.length === 0) {
-            continue;
-          }
-          
-          const submitButton = page.locator(selector).first();
-          await submitButton.waitFor({ state: 'visible', timeout: 3000 });
-          
-          // Check if button is enabled
-          const isDisabled = await submitButton.getAttribute('disabled');
-          const buttonText = await submitButton.textContent();
-          
-          logger.info(`Button found: "${buttonText}" - Disabled: ${isDisabled !== null}`);
-          
-          if (isDisabled !== null) {
-            foundButDisabled.push({ selector, text: buttonText });
-            logger.warn(`Submit button found but disabled: ${selector}`);
-            continue;
-          }
-          
-          logger.info(`Clicking submit button: ${selector}`);
-          await submitButton.click();
-          submitSuccess = true;
-          break;
-        } catch (e) {
-          logger.debug(`Submit button not found or error with selector "${selector}": ${e.message}`);
-          continue;
-        }
-      }
+  /**
+   * Report entry for a custom dropdown field filled via formFieldSelector
+   */
+  selectFieldReport(field, requested, result, mappedValue = null) {
+    return {
+      field,
+      requested,
+      mapped: mappedValue || undefined,
+      resolved: result.resolvedValue || null,
+      strategy: [result.openStrategy, result.strategy].filter(Boolean).join(' / ') || null,
+      success: result.success,
+      error: result.error
+    };
+  }
 
-      if (!submitSuccess) {
-        if (foundButDisabled.length > 0) {
-          logger.error('Submit button(s) found but all disabled', { foundButDisabled });
-          throw new Error('Submit button is disabled - likely missing required fields (photos?)');
-        }
-        throw new Error('Could not find submit button on page');
-      }
+  /**
+   * Photos of an article: image_urls, else the single original/processed image
+   */
+  getImageUrls(article) {
+    if (article.image_urls && Array.isArray(article.image_urls) && article.image_urls.length > 0) {
+      return article.image_urls;
+    } else if (article.original_image_url) {
+      return [article.original_image_url];
+    } else if (article.processed_image_url) {
+      return [article.processed_image_url];
+    }
+    return [];
+  }
 
-      await playwrightService.randomDelay(2000, 3000);
+  /**
+   * Map condition to the label of the marketplace's condition picker
+   */
+  mapCondition(condition) {
+    const key = CONDITION_ALIASES[condition.toLowerCase()];
+    return (key && this.marketplace.conditions[key]) || condition;
+  }
 
-      // Wait for navigation or success indication
-      logger.info('Waiting for publish to complete...');
-      
-      try {
-        // Wait for URL change (article published)
-        await page.waitForURL(/catalog|items\/\d+/, { timeout: 20000 });
-        logger.info('Navigation detected after submit');
-      } catch (e) {
-        logger.warn('No URL change detected, checking for success indicators...');
-      }
+  /**
+   * Screenshot and HTML of the page a run failed on, stored as job artifacts
+   * @returns {Promise<object>} { screenshot, html } artifact references or null
+   */
+  async captureFailure(page, job) {
+    if (!page || page.isClosed()) {
+      return { screenshot: null, html: null };
+    }
 
-      await playwrightService.randomDelay(2000, 3000);
+    const jobId = job ? job.id : null;
 
-      const finalUrl = page.url();
-      // const screenshotAfterSubmit = await playwrightService.takeScreenshot(page);
-      const screenshotAfterSubmit = null; // Disabled to save tokens
-      
-      // Try to extract Vinted article ID from URL
-      let vintedId = null;
-      const urlMatch = finalUrl.match(/items\/(\d+)/);
-      if (urlMatch) {
-        vintedId = urlMatch[1];
-        logger.info('Extracted Vinted ID from URL', { vintedId });
-      } else {
-        // Fallback: check for catalog URL (successful listing)
-        if (finalUrl.includes('/catalog')) {
-          vintedId = 'catalog-' + Date.now();
-          logger.info('Article listed in catalog (no specific ID extracted)');
-        } else {
-          throw new Error('Could not verify article was published successfully');
-        }
-      }
+    return {
+      screenshot: await playwrightService.captureScreenshot(page, { jobId, name: 'error.png' }),
+      html: await playwrightService.captureHtml(page, { jobId, name: 'error.html' })
+    };
+  }
 
-      const duration = Date.now() - startTime;
+  /**
+   * Save the run's trace if its trace mode asks for it
+   * @returns {Promise<object|null>} Artifact reference with download URL
+   */
+  async finishTrace(page, job, traceMode, failed) {
+    if (!playwrightService.shouldSave(traceMode, failed)) {
+      return null;
+    }
 
-      logger.info('Publish completed successfully', {
-        duration,
-        finalUrl,
-        vintedId
-      });
+    return playwrightService.saveTrace(page, { jobId: job ? job.id : null });
+  }
 
-      await playwrightService.closeBrowser();
+  /**
+   * Trace the login again once the password field is gone - while it is on
+   * the page its value would be in the trace's DOM snapshots
+   */
+  async resumeTraceAfterLogin(page, passwordSelector) {
+    const passwordFields = await page.locator(passwordSelector).count().catch(() => 1);
 
-      return {
-        success: true,
-        vintedUrl: finalUrl,
-        vintedId: vintedId,
-        duration,
-        screenshot: screenshotAfterSubmit
-      };
+    if (passwordFields === 0) {
+      await playwrightService.resumeTrace(page);
+    }
+  }
 
-    } catch (error) {
-      logger.error('Publish failed', {
-        error: error.message,
-        duration: Date.now() - startTime
-      });
+  /**
+   * Save the run's HAR if its HAR mode asks for it - closes the page's context
+   * @returns {Promise<object|null>} Artifact reference with download URL
+   */
+  async finishHar(page, job, harMode, failed) {
+    if (!playwrightService.shouldSave(harMode, failed)) {
+      return null;
+    }
 
-      let errorScreenshot = null;
-      // Screenshot disabled to save tokens
-      // if (page) {
-      //   errorScreenshot = await playwrightService.takeScreenshot(page);
-      // }
+    return playwrightService.saveHar(page, { jobId: job ? job.id : null });
+  }
 
-      await playwrightService.closeBrowser();
+  /**
+   * Pause for an operator if a captcha or verification screen is showing
+   * @returns {Promise<object|null>} The resolved handoff, null if there was none
+   */
+  async resolveChallenge(page, job, stage) {
+    return handoffService.resolveChallenge(page, { job, stage, marketplace: this.marketplace });
+  }
 
-      return {
-        success: false,
-        error: error.message,
-        duration: Date.now() - startTime,
-        screenshot: errorScreenshot
-      };
+  /**
+   * Report a step to the job context (no-op when called outside a job)
+   */
+  reportProgress(job, step, status = 'running', detail = null) {
+    if (job) {
+      job.progress(step, status, detail);
     }
   }
 
@@ -557,7 +1859,8 @@ class VintedService {
 
       // Try Playwright's getByRole first (more reliable)
       try {
-        await page.getByRole('button', { name: /akzeptieren|accept/i }).first().click();
+        const acceptPattern = new RegExp([...this.marketplace.strings.acceptCookies, 'accept'].join('|'), 'i');
+        await page.getByRole('button', { name: acceptPattern }).first().click();
         logger.info('Cookie banner accepted via role');
         await playwrightService.randomDelay(1000, 2000);
         return true;
@@ -567,7 +1870,7 @@ class VintedService {
 
       // Try by text
       try {
-        await page.getByText('Akzeptieren', { exact: false }).first().click();
+        await page.getByText(this.marketplace.strings.acceptCookies[0], { exact: false }).first().click();
         logger.info('Cookie banner accepted via text');
         await playwrightService.randomDelay(1000, 2000);
         return true;
@@ -620,12 +1923,11 @@ class VintedService {
         '#photos .media-select__input-content > button',  // Most specific from browser
         '.media-select__input-content > button',          // Backup
         '#photos button.web_ui__Button__button',          // Alternative
-        'button:has-text("Fotos hinzufügen")',           // Fallback
-        'button:has-text("+ Fotos")',
+        ...textSelectors('button', this.marketplace.strings.addPhotos.slice(0, -1)), // Fallback
         '[data-testid*="photo"]',
         '[data-testid*="upload"]',
         'label[for*="photo"]',
-        'button:has-text("Foto")'
+        ...textSelectors('button', this.marketplace.strings.addPhotos.slice(-1))
       ];
       
       let buttonClicked = false;
@@ -730,18 +2032,32 @@ class VintedService {
           const filename = `vinted_image_${Date.now()}_${i}.${ext}`;
           const filepath = path.join(tempDir, filename);
           
-          // Download image to temp file
+          // Download image to temp file (retried on network errors and 5xx)
           logger.info(`Downloading image from ${imageUrl}...`);
-          await new Promise((resolve, reject) => {
+          await withRetry(() => new Promise((resolve, reject) => {
             const protocol = imageUrl.startsWith('https') ? https : http;
-            const file = fsSync.createWriteStream(filepath);
+            let file = null;
+
+            // Every failed attempt frees its socket and stream and leaves no partial file
+            const fail = (err, response = null) => {
+              if (response) {
+                response.resume();
+              }
+              if (file) {
+                file.destroy();
+              }
+              fsSync.unlink(filepath, () => {});
+              reject(err);
+            };
             
             protocol.get(imageUrl, (response) => {
               if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
+                fail(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`), response);
                 return;
               }
               
+              file = fsSync.createWriteStream(filepath);
+              response.on('error', err => fail(err, response));
               response.pipe(file);
               
               file.on('finish', () => {
@@ -750,15 +2066,9 @@ class VintedService {
                 resolve();
               });
               
-              file.on('error', (err) => {
-                fsSync.unlink(filepath, () => {});
-                reject(err);
-              });
-            }).on('error', (err) => {
-              fsSync.unlink(filepath, () => {});
-              reject(err);
-            });
-          });
+              file.on('error', err => fail(err, response));
+            }).on('error', err => fail(err));
+          }), { label: `image download ${i + 1}` });
           
           // Verify file exists and has size
           const stats = await fs.stat(filepath);
@@ -813,7 +2123,7 @@ class VintedService {
       }
       
       logger.info(`✓ Successfully uploaded ${uploadedFiles.length} photo(s)`);
-      return { success: true, uploadedCount: uploadedFiles.length };
+      return { success: true, uploadedCount: uploadedFiles.length, selector: foundSelector };
       
     } catch (error) {
       logger.error('Photo upload failed', { error: error.message, stack: error.stack });
@@ -822,13 +2132,22 @@ class VintedService {
   }
 
   async checkIfLoggedIn(page) {
+    return (await this.loginState(page)) === 'logged_in';
+  }
+
+  /**
+   * 'logged_out' only on a redirect to /member/login or a visible login link,
+   * 'unknown' when neither the user menu nor a login link shows up
+   * @returns {Promise<string>} 'logged_in' | 'logged_out' | 'unknown'
+   */
+  async loginState(page) {
     try {
       const url = page.url();
 
       // Prüfe URL
       if (url.includes('/member/login')) {
         logger.info('On login page - not logged in');
-        return false;
+        return 'logged_out';
       }
 
       // Warte kurz auf User-Menu
@@ -839,7 +2158,7 @@ class VintedService {
         const userMenu = page.getByRole('button', { name: /profil|account|user/i }).first();
         await userMenu.waitFor({ state: 'visible', timeout: 3000 });
         logger.info('User menu found via role');
-        return true;
+        return 'logged_in';
       } catch (e) {
         // Continue with other methods
       }
@@ -858,19 +2177,29 @@ class VintedService {
           const element = page.locator(selector).first();
           await element.waitFor({ state: 'visible', timeout: 2000 });
           logger.info(`User menu found with selector: ${selector}`);
-          return true;
+          return 'logged_in';
         } catch (e) {
           continue;
         }
       }
 
+      for (const selector of this.loggedOutSelectors) {
+        if (await page.locator(selector).first().isVisible().catch(() => false)) {
+          logger.info(`Login link found with selector: ${selector}`);
+          return 'logged_out';
+        }
+      }
+
       logger.warn('No user menu elements found');
-      return false;
+      return 'unknown';
     } catch (error) {
       logger.error('Error checking login status', { error: error.message });
-      return false;
+      return 'unknown';
     }
   }
 }
 
-module.exports = new VintedService();
+const defaultInstance = new VintedService();
+instances.set(defaultInstance.marketplace.code, defaultInstance);
+
+module.exports = defaultInstance;
@@ -0,0 +1,40 @@
+// Zugriffsschutz für alles, was eine eingeloggte Vinted-Seite zeigt oder steuert
+// (Handoffs, Live-Ansicht, Artefakte). Token aus OPERATOR_ACCESS_TOKEN als
+// `Authorization: Bearer <token>` oder `?token=` - ohne gesetzte Variable gesperrt
+
+const crypto = require('crypto');
+
+function isAuthorized(req) {
+  const token = process.env.OPERATOR_ACCESS_TOKEN;
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+
+  if (!token || typeof provided !== 'string') {
+    return false;
+  }
+
+  // Digests vergleichen - timingSafeEqual braucht gleiche Längen
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(token));
+}
+
+/**
+ * Express-Middleware: 403 ohne gültigen Token
+ */
+function requireAccessToken(req, res, next) {
+  if (isAuthorized(req)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    error: process.env.OPERATOR_ACCESS_TOKEN
+      ? 'Invalid or missing access token'
+      : 'Disabled - set OPERATOR_ACCESS_TOKEN'
+  });
+}
+
+module.exports = {
+  isAuthorized,
+  requireAccessToken
+};
@@ -1,50 +1,65 @@
 // Vinted Kategorie-Mapping mit vollständigen Pfaden
-const VINTED_CATEGORIES = require('./vintedCategoriesData.json');
+const fs = require('fs');
+const path = require('path');
+const { getMarketplace } = require('./marketplaces');
+
+// Kategoriebaum pro Datendatei (de und at teilen sich den deutschen)
+const categoryCache = new Map();
+
+/**
+ * Lädt den Kategoriebaum eines Marktplatzes
+ * Wirft einen klaren Fehler, wenn für das Land noch keine Daten exportiert wurden
+ */
+function loadCategories(marketplace = getMarketplace()) {
+  const { dataFile } = marketplace.categories;
+
+  if (!categoryCache.has(dataFile)) {
+    const file = path.join(__dirname, dataFile);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(
+        `No category data for marketplace "${marketplace.code}" - export the Vinted category tree to src/utils/${dataFile}`
+      );
+    }
+
+    categoryCache.set(dataFile, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  return categoryCache.get(dataFile);
+}
+
+const VINTED_CATEGORIES = loadCategories(getMarketplace('de'));
 
 /**
  * Sucht die passende Vinted-Kategorie basierend auf AI-Analyse
+ * @param {object} marketplace - Konfiguration aus utils/marketplaces, Standard VINTED_MARKETPLACE
  */
-function findBestCategory(aiCategory, aiGender = null) {
+function findBestCategory(aiCategory, aiGender = null, marketplace = getMarketplace()) {
+  const categoryData = loadCategories(marketplace);
+
   if (!aiCategory) {
     console.warn('Keine Kategorie angegeben, nutze Fallback');
-    return VINTED_CATEGORIES.categories[0];
+    return categoryData.categories[0];
   }
 
   const normalized = aiCategory.toLowerCase();
+  const { genders, keywords, fallback } = marketplace.categories;
   const genderMap = {
-    'women': 'damen',
-    'men': 'herren',
-    'kids': 'kinder',
-    'female': 'damen',
-    'male': 'herren'
+    'women': genders.women.toLowerCase(),
+    'men': genders.men.toLowerCase(),
+    'kids': genders.kids.toLowerCase(),
+    'female': genders.women.toLowerCase(),
+    'male': genders.men.toLowerCase()
   };
   
   // Default zu Damen wenn kein Gender angegeben
-  const targetGender = aiGender ? genderMap[aiGender.toLowerCase()] : 'damen';
+  const targetGender = aiGender ? genderMap[aiGender.toLowerCase()] : genderMap.women;
 
   // Mapping: AI-Begriffe → Vinted-Kategorien (exakte Priorität)
-  const categoryKeywords = {
-    't-shirt': 't-shirts',
-    'shirt': 'shirts',
-    'blouse': 'blusen',
-    'top': 'tops',
-    'sweater': 'sweater',
-    'hoodie': 'hoodies',
-    'pullover': 'pullover',
-    'jacket': 'jacken',
-    'coat': 'mäntel',
-    'blazer': 'blazer',
-    'jeans': 'jeans',
-    'pants': 'hosen',
-    'trousers': 'hosen',
-    'leggings': 'leggings',
-    'shorts': 'shorts',
-    'dress': 'kleider',
-    'skirt': 'röcke'
-  };
+  const categoryKeywords = keywords;
 
   // Finde passende Kategorien
-  const candidates = VINTED_CATEGORIES.categories.filter(cat => {
+  const candidates = categoryData.categories.filter(cat => {
     // Filtere nach Gender
     if (cat.hauptkategorie.toLowerCase() !== targetGender) {
       return false;
@@ -63,10 +78,10 @@ function findBestCategory(aiCategory, aiGender = null) {
 
   if (candidates.length === 0) {
     console.warn(`⚠️ Keine passende Kategorie für "${aiCategory}" (${targetGender})`);
-    const fallback = VINTED_CATEGORIES.categories.find(
-      cat => cat.full_path === "Damen → Kleidung → Sonstiges"
+    const fallbackCategory = categoryData.categories.find(
+      cat => cat.full_path === fallback
     );
-    return fallback || VINTED_CATEGORIES.categories[0];
+    return fallbackCategory || categoryData.categories[0];
   }
 
   // Scoring-System für beste Kategorie
@@ -435,6 +450,7 @@ async function navigateToCategory(page, category) {
 
 module.exports = {
   VINTED_CATEGORIES,
+  loadCategories,
   findBestCategory,
   navigateToCategory
 };
@@ -0,0 +1,259 @@
+// Import von Cookies aus gängigen Browser-Exporten für POST /cookies/upload
+// Unterstützt: Playwright/Puppeteer-Array, EditThisCookie/Cookie-Editor JSON,
+// Playwright storageState, Netscape cookies.txt und einen rohen Cookie-Header
+// Ergebnis ist immer das gespeicherte Format (wie playwrightService.toPlaywrightCookies)
+
+const { getMarketplace } = require('./marketplaces');
+
+const FORMATS = ['json', 'storageState', 'netscape', 'header'];
+
+// Ohne eines dieser Cookies ist der Export nicht eingeloggt
+const AUTH_COOKIES = ['access_token_web', 'refresh_token_web'];
+// Ältere Exporte haben nur das Rails-Session-Cookie (_vinted_de_session, _vinted_fr_session, ...)
+const LEGACY_SESSION_COOKIE = /^_vinted_[a-z]+_session$/;
+
+const VINTED_DOMAIN = /(^|\.)vinted\.[a-z]{2,3}(\.[a-z]{2})?$/i;
+
+/**
+ * Cookies aus einem Export lesen, normalisieren und auf Vinted-Domains filtern
+ * @param {string|array|object} input - Export als JSON-Wert oder Text
+ * @param {object} options - { format } erzwingt ein Format (sonst Erkennung),
+ *   { marketplace } Domain für Cookie-Header ohne Domain-Angabe
+ * @returns {object} { format, cookies, dropped } - dropped = Anzahl fremder Cookies
+ * @throws {Error} Wenn der Export nicht gelesen werden kann
+ */
+function importCookies(input, options = {}) {
+  const format = options.format || detectFormat(input);
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown cookie format "${format}" (supported: ${FORMATS.join(', ')})`);
+  }
+
+  const raw = parseFormat(format, input, options);
+  const normalized = raw.map(normalizeCookie).filter(cookie => cookie.name && cookie.domain);
+  const cookies = normalized.filter(cookie => isVintedDomain(cookie.domain));
+
+  return {
+    format,
+    cookies,
+    dropped: normalized.length - cookies.length
+  };
+}
+
+function detectFormat(input) {
+  if (Array.isArray(input)) {
+    return 'json';
+  }
+
+  if (input && typeof input === 'object') {
+    if (Array.isArray(input.cookies)) {
+      return 'storageState';
+    }
+    throw new Error('Cookie object must be a storageState with a "cookies" array');
+  }
+
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('No cookies provided');
+  }
+
+  const text = input.trim();
+
+  if (text.startsWith('[') || text.startsWith('{')) {
+    return detectFormat(parseJson(text));
+  }
+
+  // cookies.txt: Tab-getrennte Zeilen mit 7 Feldern oder der typische Header
+  if (/^#\s*(Netscape )?HTTP Cookie File/i.test(text) ||
+    text.split('\n').some(line => !line.startsWith('#') && line.split('\t').length >= 7)) {
+    return 'netscape';
+  }
+
+  if (text.includes('=')) {
+    return 'header';
+  }
+
+  throw new Error('Could not detect cookie format');
+}
+
+function parseFormat(format, input, options) {
+  const value = typeof input === 'string' && (format === 'json' || format === 'storageState')
+    ? parseJson(input.trim())
+    : input;
+
+  switch (format) {
+    case 'json':
+      if (!Array.isArray(value)) {
+        throw new Error('Cookie JSON must be an array');
+      }
+      return value;
+
+    case 'storageState':
+      if (!value || !Array.isArray(value.cookies)) {
+        throw new Error('storageState must contain a "cookies" array');
+      }
+      // localStorage (origins) wird nicht gespeichert - Vinted authentifiziert über Cookies
+      return value.cookies;
+
+    case 'netscape':
+      return parseNetscape(String(value));
+
+    case 'header':
+      return parseCookieHeader(String(value), options.marketplace);
+  }
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid cookie JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Netscape cookies.txt: domain, includeSubdomains, path, secure, expires, name, value
+ * Zeilen mit "#HttpOnly_" Präfix sind HttpOnly-Cookies (curl, cookies.txt Extensions)
+ */
+function parseNetscape(text) {
+  const cookies = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    }
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+
+    if (fields.length < 7) {
+      continue;
+    }
+
+    const [domain, , path, secure, expires, name, ...value] = fields;
+
+    cookies.push({
+      domain,
+      path,
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: parseInt(expires) || -1,
+      name,
+      value: value.join('\t'),
+      httpOnly
+    });
+  }
+
+  return cookies;
+}
+
+/**
+ * "Cookie: a=1; b=2" bzw. "a=1; b=2" - ohne Domain, daher die Marktplatz-Domain
+ */
+function parseCookieHeader(text, marketplaceCode = null) {
+  const domain = '.' + new URL(getMarketplace(marketplaceCode).baseUrl).hostname.replace(/^www\./, '');
+  const header = text.trim().replace(/^cookie:\s*/i, '');
+
+  return header.split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => {
+      const separator = part.indexOf('=');
+      return {
+        name: part.slice(0, separator).trim(),
+        value: part.slice(separator + 1).trim(),
+        domain,
+        path: '/',
+        secure: true
+      };
+    });
+}
+
+/**
+ * Einheitliches Cookie-Objekt aus den Feldern der verschiedenen Exporte
+ * EditThisCookie/Cookie-Editor: expirationDate (Sekunden, Float), sameSite
+ * "no_restriction" / "unspecified", hostOnly, session
+ */
+function normalizeCookie(cookie) {
+  let expires = cookie.expires ?? cookie.expirationDate ?? -1;
+  expires = Number(expires);
+
+  if (!Number.isFinite(expires) || expires <= 0 || cookie.session === true) {
+    expires = -1;
+  } else if (expires > 1e11) {
+    // Millisekunden statt Sekunden
+    expires = Math.floor(expires / 1000);
+  } else {
+    expires = Math.floor(expires);
+  }
+
+  const sameSite = normalizeSameSite(cookie.sameSite);
+
+  return {
+    name: cookie.name,
+    value: cookie.value === undefined || cookie.value === null ? '' : String(cookie.value),
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    expires,
+    httpOnly: !!cookie.httpOnly,
+    // Chromium verwirft SameSite=None ohne Secure
+    secure: !!cookie.secure || sameSite === 'None',
+    sameSite
+  };
+}
+
+function normalizeSameSite(value) {
+  switch (String(value || '').toLowerCase()) {
+    case 'strict':
+      return 'Strict';
+    case 'none':
+    case 'no_restriction':
+      return 'None';
+    default:
+      // 'lax', 'unspecified' und fehlende Angaben - Browser-Standard ist Lax
+      return 'Lax';
+  }
+}
+
+function isVintedDomain(domain) {
+  return VINTED_DOMAIN.test(String(domain).replace(/^\./, ''));
+}
+
+/**
+ * Prüft ob die für den Login nötigen Cookies vorhanden und nicht abgelaufen sind
+ * @returns {object} { valid, missing, expired }
+ */
+function validateAuthCookies(cookies) {
+  const now = Math.floor(Date.now() / 1000);
+  const live = cookies.filter(cookie => cookie.expires === -1 || cookie.expires > now);
+  const liveNames = new Set(live.map(cookie => cookie.name));
+
+  const hasToken = AUTH_COOKIES.some(name => liveNames.has(name));
+  const hasLegacySession = live.some(cookie => LEGACY_SESSION_COOKIE.test(cookie.name));
+
+  const expired = cookies
+    .filter(cookie => !live.includes(cookie))
+    .map(cookie => cookie.name)
+    .filter(name => AUTH_COOKIES.includes(name) || LEGACY_SESSION_COOKIE.test(name));
+
+  return {
+    valid: hasToken || hasLegacySession,
+    missing: hasToken || hasLegacySession ? [] : AUTH_COOKIES.filter(name => !liveNames.has(name)),
+    expired
+  };
+}
+
+module.exports = {
+  FORMATS,
+  AUTH_COOKIES,
+  importCookies,
+  detectFormat,
+  normalizeCookie,
+  isVintedDomain,
+  validateAuthCookies
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+// Verschlüsselung von Secrets (Cookies, Zugangsdaten) bevor sie in Supabase landen
+// SESSION_ENCRYPTION_KEYS="k2:<base64 32 Byte>,k1:<base64 32 Byte>"
+// Der erste Key verschlüsselt, alle weiteren entschlüsseln nur noch (Key-Rotation)
+// Ohne Key nur mit ALLOW_PLAINTEXT_SESSIONS=true - sonst startet der Service nicht
+
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+
+function loadKeys() {
+  if (keyring) {
+    return keyring;
+  }
+
+  const raw = process.env.SESSION_ENCRYPTION_KEYS || '';
+  const keys = new Map();
+  let currentKid = null;
+
+  for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('SESSION_ENCRYPTION_KEYS entries must look like "<kid>:<base64 key>"');
+    }
+
+    const kid = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${kid}" must be 32 bytes (base64), got ${key.length}`);
+    }
+
+    keys.set(kid, key);
+    currentKid = currentKid || kid;
+  }
+
+  keyring = { keys, currentKid };
+  return keyring;
+}
+
+function isEnabled() {
+  return !!loadKeys().currentKid;
+}
+
+function plaintextAllowed() {
+  return process.env.ALLOW_PLAINTEXT_SESSIONS === 'true';
+}
+
+/**
+ * Beim Start aufrufen: wirft bei ungültigen Keys oder wenn weder ein Key
+ * noch ALLOW_PLAINTEXT_SESSIONS=true gesetzt ist
+ */
+function assertConfigured() {
+  if (!isEnabled() && !plaintextAllowed()) {
+    throw new Error(
+      'SESSION_ENCRYPTION_KEYS is not set - configure a key or set ALLOW_PLAINTEXT_SESSIONS=true to store session cookies unencrypted'
+    );
+  }
+}
+
+/**
+ * Verschlüsselter Wert in der Form, wie er in Supabase gespeichert wird
+ */
+function isEncrypted(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    value.alg === ALGORITHM && typeof value.data === 'string';
+}
+
+/**
+ * Beliebigen JSON-Wert verschlüsseln
+ * Ohne konfigurierten Key nur mit ALLOW_PLAINTEXT_SESSIONS=true unverändert zurück
+ * @returns {object} { alg, kid, iv, tag, data } - passt in eine jsonb-Spalte
+ * @throws {Error} Ohne Key und ohne ausdrückliches Opt-out
+ */
+function encrypt(value) {
+  const { keys, currentKid } = loadKeys();
+
+  if (!currentKid) {
+    assertConfigured();
+    return value;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKid), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    alg: ALGORITHM,
+    kid: currentKid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Gegenstück zu encrypt() - unverschlüsselte Altdaten kommen unverändert zurück
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const key = loadKeys().keys.get(value.kid);
+
+  if (!key) {
+    throw new Error(`No encryption key "${value.kid}" configured - add it to SESSION_ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(value.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(value.data, 'base64')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * true wenn der Wert mit dem aktuellen Key (neu) verschlüsselt werden sollte:
+ * Klartext bei aktivem Key oder ein älterer Key nach einer Rotation
+ */
+function needsReencryption(value) {
+  const { currentKid } = loadKeys();
+
+  if (!currentKid || value === null || value === undefined) {
+    return false;
+  }
+
+  return !isEncrypted(value) || value.kid !== currentKid;
+}
+
+module.exports = {
+  isEnabled,
+  assertConfigured,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  needsReencryption
+};
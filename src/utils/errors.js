@@ -0,0 +1,100 @@
+// Fehler-Taxonomie der Browser-Flows mit stabilen Codes, nach denen n8n verzweigen kann
+// Wo die Ursache bekannt ist, werfen die Flows einen VintedError mit Code;
+// alles andere (Playwright-Timeouts, Netzwerkfehler, ...) ordnet classifyError() ein
+
+const ERROR_CODES = {
+  // Netzwerk/Timeout/Browser-Absturz - wird automatisch wiederholt
+  TRANSIENT_NETWORK: 'TRANSIENT_NETWORK',
+  // Element auf der Vinted-Seite nicht gefunden (UI geändert?)
+  SELECTOR_NOT_FOUND: 'SELECTOR_NOT_FOUND',
+  // Cookies abgelaufen, neu einloggen bzw. Cookies hochladen
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  // Eingaben/Artikeldaten ungültig oder von Vinted abgelehnt
+  VALIDATION: 'VALIDATION',
+  // Captcha/Verifizierung nicht gelöst, Zugriff gesperrt
+  ANTI_BOT_BLOCK: 'ANTI_BOT_BLOCK',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// HTTP-Status für synchrone Endpunkte
+const HTTP_STATUS = {
+  TRANSIENT_NETWORK: 503,
+  SELECTOR_NOT_FOUND: 502,
+  SESSION_EXPIRED: 401,
+  VALIDATION: 422,
+  ANTI_BOT_BLOCK: 403,
+  UNKNOWN: 500
+};
+
+const RETRYABLE = [ERROR_CODES.TRANSIENT_NETWORK];
+
+// Reihenfolge zählt: der erste Treffer gewinnt
+const PATTERNS = [
+  [ERROR_CODES.ANTI_BOT_BLOCK, /captcha|datadome|operator handoff|access denied|too many requests|(status|HTTP) (403|429)\b/i],
+  [ERROR_CODES.SESSION_EXPIRED, /not logged in|session (has )?expired|no active session|invalid_grant/i],
+  [ERROR_CODES.TRANSIENT_NETWORK, /net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|socket hang up|fetch failed|waiting for a free browser|has been closed|browser has disconnected|(status|HTTP) 5\d\d\b/i],
+  [ERROR_CODES.SELECTOR_NOT_FOUND, /could not find|waiting for (locator|selector)|no element|element is not (visible|attached)/i],
+  [ERROR_CODES.VALIDATION, /must be|is required|invalid|unsupported/i]
+];
+
+// Playwright-Timeouts beim Laden einer Seite (goto/reload/waitForURL, "networkidle")
+const NAVIGATION_TIMEOUT = /page\.(goto|reload|waitForURL|waitForLoadState)|navigating to|waiting until/i;
+
+/**
+ * Fehler mit Code aus ERROR_CODES
+ */
+class VintedError extends Error {
+  /**
+   * @param {string} code - ERROR_CODES.*
+   * @param {string} message
+   * @param {object} options - { cause } ursprünglicher Fehler
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = 'VintedError';
+    this.code = code;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Code, Wiederholbarkeit und HTTP-Status eines Fehlers
+ * @param {Error|string} error - Fehler oder Fehlermeldung (z.B. aus einem Job-Ergebnis)
+ * @returns {object} { code, retryable, status }
+ */
+function classifyError(error) {
+  const code = errorCode(error);
+
+  return {
+    code,
+    retryable: RETRYABLE.includes(code),
+    status: HTTP_STATUS[code]
+  };
+}
+
+function errorCode(error) {
+  if (!error) {
+    return ERROR_CODES.UNKNOWN;
+  }
+
+  if (error instanceof VintedError || (error.code && ERROR_CODES[error.code] === error.code)) {
+    return error.code;
+  }
+
+  const message = typeof error === 'string' ? error : error.message || '';
+
+  if (error.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(message)) {
+    return NAVIGATION_TIMEOUT.test(message) ? ERROR_CODES.TRANSIENT_NETWORK : ERROR_CODES.SELECTOR_NOT_FOUND;
+  }
+
+  const match = PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : ERROR_CODES.UNKNOWN;
+}
+
+module.exports = {
+  ERROR_CODES,
+  VintedError,
+  classifyError
+};
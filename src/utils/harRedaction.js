@@ -0,0 +1,174 @@
+// Schwärzen von HAR-Dateien, bevor sie als Job-Artefakt gespeichert werden
+// Entfernt: Cookies, Auth-/CSRF-Header, Tokens und Passwörter in URL, Formularen und JSON
+// Behalten werden nur JSON-Bodies (Vinted-API) - Bilder, Skripte und Foto-Uploads sind nur Ballast
+
+const REDACTED = '[redacted]';
+
+const SENSITIVE_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+// Header-, Parameter- und JSON-Schlüssel (access_token, refresh_token, password, x-csrf-token, ...)
+const SENSITIVE_NAME = /token|passw|secret|session|csrf|api[-_]?key/i;
+
+const JSON_MIME = /json/i;
+const FORM_MIME = /x-www-form-urlencoded/i;
+const MAX_BODY_LENGTH = 256 * 1024;
+
+/**
+ * Geschwärzte Kopie eines HAR-Objekts (Format von recordHar)
+ * @param {object} har - Geparste HAR-Datei
+ * @returns {object} { har, redacted } - redacted = Anzahl geschwärzter Werte
+ */
+function redactHar(har) {
+  const counter = { redacted: 0 };
+  const entries = ((har.log && har.log.entries) || []).map(entry => redactEntry(entry, counter));
+
+  return {
+    har: { ...har, log: { ...har.log, entries } },
+    redacted: counter.redacted
+  };
+}
+
+function redactEntry(entry, counter) {
+  const request = entry.request || {};
+  const response = entry.response || {};
+
+  return {
+    ...entry,
+    request: {
+      ...request,
+      url: redactUrl(request.url, counter),
+      headers: redactHeaders(request.headers, counter),
+      cookies: redactCookies(request.cookies, counter),
+      queryString: redactParams(request.queryString, counter),
+      ...(request.postData ? { postData: redactPostData(request.postData, counter) } : {})
+    },
+    response: {
+      ...response,
+      headers: redactHeaders(response.headers, counter),
+      cookies: redactCookies(response.cookies, counter),
+      ...(response.content ? { content: redactContent(response.content, counter) } : {})
+    }
+  };
+}
+
+function redactHeaders(headers = [], counter) {
+  return headers.map(header => {
+    if (SENSITIVE_HEADERS.includes(header.name.toLowerCase()) || SENSITIVE_NAME.test(header.name)) {
+      counter.redacted++;
+      return { ...header, value: REDACTED };
+    }
+    return header;
+  });
+}
+
+function redactCookies(cookies = [], counter) {
+  counter.redacted += cookies.length;
+  return cookies.map(cookie => ({ ...cookie, value: REDACTED }));
+}
+
+function redactParams(params = [], counter) {
+  return params.map(param => {
+    if (SENSITIVE_NAME.test(param.name)) {
+      counter.redacted++;
+      return { ...param, value: REDACTED };
+    }
+    return param;
+  });
+}
+
+function redactUrl(url, counter) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  let changed = false;
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SENSITIVE_NAME.test(name)) {
+      parsed.searchParams.set(name, REDACTED);
+      counter.redacted++;
+      changed = true;
+    }
+  }
+
+  return changed ? parsed.toString() : url;
+}
+
+/**
+ * Request-Body: JSON und Formulare geschwärzt, alles andere (Multipart-Fotos) verworfen
+ */
+function redactPostData(postData, counter) {
+  const mimeType = postData.mimeType || '';
+
+  if (JSON_MIME.test(mimeType)) {
+    return { ...postData, text: redactJsonText(postData.text, counter) };
+  }
+
+  if (FORM_MIME.test(mimeType)) {
+    const params = new URLSearchParams(postData.text || '');
+    for (const name of [...params.keys()]) {
+      if (SENSITIVE_NAME.test(name)) {
+        params.set(name, REDACTED);
+        counter.redacted++;
+      }
+    }
+    return { ...postData, text: params.toString(), params: redactParams(postData.params, counter) };
+  }
+
+  return { mimeType, text: '', comment: 'body omitted' };
+}
+
+/**
+ * Response-Body: nur JSON bis MAX_BODY_LENGTH, Werte sensibler Schlüssel geschwärzt
+ */
+function redactContent(content, counter) {
+  const { text, encoding, ...rest } = content;
+
+  if (text === undefined) {
+    return content;
+  }
+
+  if (!JSON_MIME.test(content.mimeType || '') || text.length > MAX_BODY_LENGTH) {
+    return { ...rest, comment: 'body omitted' };
+  }
+
+  const decoded = encoding === 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text;
+  return { ...rest, text: redactJsonText(decoded, counter) };
+}
+
+function redactJsonText(text, counter) {
+  if (!text) {
+    return text;
+  }
+
+  try {
+    return JSON.stringify(redactJson(JSON.parse(text), counter));
+  } catch (error) {
+    // Kein gültiges JSON - lieber weglassen als ungeprüft speichern
+    return '';
+  }
+}
+
+function redactJson(value, counter) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactJson(item, counter));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      if (SENSITIVE_NAME.test(key) && item !== null && typeof item !== 'object') {
+        counter.redacted++;
+        return [key, REDACTED];
+      }
+      return [key, redactJson(item, counter)];
+    }));
+  }
+
+  return value;
+}
+
+module.exports = {
+  REDACTED,
+  redactHar
+};
@@ -0,0 +1,228 @@
+// Vinted-Marktplätze: Domain, Locale und UI-Texte pro Land
+// Texte sind Arrays - der erste Treffer gewinnt, Reihenfolge = Priorität
+
+const fs = require('fs');
+const path = require('path');
+
+const GERMAN_UI = {
+  strings: {
+    login: ['Einloggen'],
+    acceptCookies: ['Alle akzeptieren', 'Akzeptieren'],
+    upload: ['Hochladen', 'Veröffentlichen'],
+    save: ['Speichern', 'Hochladen'],
+    saveDraft: ['Entwurf speichern'],
+    confirm: ['Bestätigen'],
+    delete: ['Löschen'],
+    hide: ['Verbergen'],
+    unhide: ['Sichtbar machen', 'Einblenden'],
+    reserve: ['Als reserviert markieren'],
+    sold: ['Als verkauft markieren'],
+    // Artikelseite nach der Aktion (Badge bzw. Gegen-Button)
+    unreserve: ['Reservierung aufheben'],
+    reservedState: ['Reserviert'],
+    soldState: ['Verkauft'],
+    addPhotos: ['Fotos hinzufügen', '+ Fotos', 'Foto'],
+    // aria-label der Entfernen-Buttons auf den Foto-Kacheln im Bearbeiten-Formular
+    removePhoto: ['Entfernen', 'Löschen'],
+    // Bestätigungs-/2FA-Seiten (E-Mail- oder SMS-Code)
+    verification: ['Bestätigungscode', 'Code eingeben', 'Bestätige deine']
+  },
+  fieldLabels: {
+    category: ['Wähle eine Kategorie', 'Kategorie', 'Katalog'],
+    brand: ['Marke'],
+    size: ['Größe'],
+    condition: ['Zustand'],
+    color: ['Farbe']
+  },
+  conditions: {
+    new: 'Neu mit Etikett',
+    very_good: 'Sehr gut',
+    good: 'Gut',
+    satisfactory: 'Zufriedenstellend'
+  },
+  categories: {
+    dataFile: 'vintedCategoriesData.json',
+    genders: { women: 'Damen', men: 'Herren', kids: 'Kinder' },
+    fallback: 'Damen → Kleidung → Sonstiges',
+    // AI-Begriffe → Vinted-Kategorien
+    keywords: {
+      't-shirt': 't-shirts',
+      'shirt': 'shirts',
+      'blouse': 'blusen',
+      'top': 'tops',
+      'sweater': 'sweater',
+      'hoodie': 'hoodies',
+      'pullover': 'pullover',
+      'jacket': 'jacken',
+      'coat': 'mäntel',
+      'blazer': 'blazer',
+      'jeans': 'jeans',
+      'pants': 'hosen',
+      'trousers': 'hosen',
+      'leggings': 'leggings',
+      'shorts': 'shorts',
+      'dress': 'kleider',
+      'skirt': 'röcke'
+    }
+  }
+};
+
+const FRENCH_UI = {
+  strings: {
+    login: ['Se connecter'],
+    acceptCookies: ['Tout accepter', 'Accepter'],
+    upload: ['Ajouter', 'Publier'],
+    save: ['Enregistrer', 'Ajouter'],
+    saveDraft: ['Enregistrer le brouillon'],
+    confirm: ['Confirmer'],
+    delete: ['Supprimer'],
+    hide: ['Masquer'],
+    unhide: ['Afficher', 'Rendre visible'],
+    reserve: ['Marquer comme réservé'],
+    sold: ['Marquer comme vendu'],
+    unreserve: ['Annuler la réservation'],
+    reservedState: ['Réservé'],
+    soldState: ['Vendu'],
+    addPhotos: ['Ajouter des photos', '+ Photos', 'Photo'],
+    removePhoto: ['Supprimer', 'Retirer'],
+    verification: ['Code de vérification', 'Saisis le code', 'Confirme ton']
+  },
+  fieldLabels: {
+    category: ['Sélectionne une catégorie', 'Catégorie'],
+    brand: ['Marque'],
+    size: ['Taille'],
+    condition: ['État'],
+    color: ['Couleur']
+  },
+  conditions: {
+    new: 'Neuf avec étiquette',
+    very_good: 'Très bon état',
+    good: 'Bon état',
+    satisfactory: 'Satisfaisant'
+  },
+  categories: {
+    // Noch nicht exportiert - bis dahin ist FR nicht nutzbar, siehe README
+    dataFile: 'vintedCategoriesData.fr.json',
+    genders: { women: 'Femmes', men: 'Hommes', kids: 'Enfants' },
+    fallback: 'Femmes → Vêtements → Autres',
+    keywords: {
+      't-shirt': 't-shirts',
+      'shirt': 'chemises',
+      'blouse': 'blouses',
+      'top': 'tops',
+      'sweater': 'pulls',
+      'hoodie': 'sweats à capuche',
+      'pullover': 'pulls',
+      'jacket': 'vestes',
+      'coat': 'manteaux',
+      'blazer': 'blazers',
+      'jeans': 'jeans',
+      'pants': 'pantalons',
+      'trousers': 'pantalons',
+      'leggings': 'leggings',
+      'shorts': 'shorts',
+      'dress': 'robes',
+      'skirt': 'jupes'
+    }
+  }
+};
+
+const MARKETPLACES = {
+  de: {
+    code: 'de',
+    baseUrl: 'https://www.vinted.de',
+    locale: 'de-DE',
+    timezone: 'Europe/Berlin',
+    acceptLanguage: 'de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7',
+    ...GERMAN_UI
+  },
+  at: {
+    code: 'at',
+    baseUrl: 'https://www.vinted.at',
+    locale: 'de-AT',
+    timezone: 'Europe/Vienna',
+    acceptLanguage: 'de-AT,de;q=0.9,en-US;q=0.8,en;q=0.7',
+    ...GERMAN_UI
+  },
+  fr: {
+    code: 'fr',
+    baseUrl: 'https://www.vinted.fr',
+    locale: 'fr-FR',
+    timezone: 'Europe/Paris',
+    acceptLanguage: 'fr-FR,fr;q=0.9,en-US;q=0.8,en;q=0.7',
+    ...FRENCH_UI
+  }
+};
+
+// Zustand aus Supabase/AI (deutsch oder englisch) → Schlüssel in conditions
+const CONDITION_ALIASES = {
+  'neu': 'new',
+  'new': 'new',
+  'neuf': 'new',
+  'sehr gut': 'very_good',
+  'very good': 'very_good',
+  'très bon état': 'very_good',
+  'gut': 'good',
+  'good': 'good',
+  'bon état': 'good',
+  'zufriedenstellend': 'satisfactory',
+  'satisfactory': 'satisfactory',
+  'satisfaisant': 'satisfactory'
+};
+
+function getDefaultCode() {
+  return (process.env.VINTED_MARKETPLACE || 'de').toLowerCase();
+}
+
+/**
+ * Marktplatz-Konfiguration für einen Ländercode (de, at, fr)
+ * Ohne Code: VINTED_MARKETPLACE bzw. 'de'
+ */
+function getMarketplace(code = null) {
+  const key = (code || getDefaultCode()).toLowerCase();
+  const marketplace = MARKETPLACES[key];
+
+  if (!marketplace) {
+    throw new Error(`Unknown Vinted marketplace "${key}" (supported: ${supportedCodes().join(', ')})`);
+  }
+
+  if (!hasCategoryData(marketplace)) {
+    throw new Error(
+      `Unsupported Vinted marketplace "${key}": no category data in src/utils/${marketplace.categories.dataFile} (supported: ${supportedCodes().join(', ')})`
+    );
+  }
+
+  return marketplace;
+}
+
+/**
+ * Nur Marktplätze mit Kategoriebaum sind nutzbar - ohne ihn bricht jeder Publish ab
+ */
+function isSupported(code) {
+  return !!code &&
+    Object.prototype.hasOwnProperty.call(MARKETPLACES, code.toLowerCase()) &&
+    hasCategoryData(MARKETPLACES[code.toLowerCase()]);
+}
+
+function supportedCodes() {
+  return Object.keys(MARKETPLACES).filter(isSupported);
+}
+
+function hasCategoryData(marketplace) {
+  return fs.existsSync(path.join(__dirname, marketplace.categories.dataFile));
+}
+
+/**
+ * Playwright-Selektoren für Buttons/Elemente mit einem der Texte
+ */
+function textSelectors(prefix, texts) {
+  return texts.map(text => `${prefix}:has-text("${text}")`);
+}
+
+module.exports = {
+  MARKETPLACES,
+  CONDITION_ALIASES,
+  getMarketplace,
+  isSupported,
+  textSelectors
+};
@@ -0,0 +1,64 @@
+// Wiederholen mit exponentiellem Backoff und Jitter
+// Standardmäßig nur vorübergehende Fehler (classifyError().retryable), damit
+// z.B. ein abgelaufenes Login nicht dreimal probiert wird
+
+const { classifyError } = require('./errors');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  // Versuche insgesamt, 1 = keine Wiederholung
+  attempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 2000,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 30000
+};
+
+/**
+ * Wartezeit vor dem nächsten Versuch: base * 2^(attempt-1), gedeckelt,
+ * davon zufällig 50-100 % (verteilt gleichzeitige Wiederholungen)
+ */
+function backoffDelay(attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULTS, ...options };
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * fn ausführen und bei wiederholbaren Fehlern erneut versuchen
+ * @param {function} fn - async (attempt) => Ergebnis
+ * @param {object} options - { attempts, baseDelayMs, maxDelayMs },
+ *   { label } für das Log, { shouldRetry } (error) => boolean
+ * @returns {Promise<*>} Ergebnis von fn
+ * @throws {Error} Letzter Fehler, mit error.attempts
+ */
+async function withRetry(fn, options = {}) {
+  const { attempts } = { ...DEFAULTS, ...options };
+  const shouldRetry = options.shouldRetry || (error => classifyError(error).retryable);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !shouldRetry(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, options);
+
+      logger.warn('Retrying after transient error', {
+        label: options.label,
+        attempt,
+        attempts,
+        delay,
+        error: error.message
+      });
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  backoffDelay,
+  withRetry
+};